@@ -8,8 +8,1286 @@
 
 const CARD_VERSION = '2.2.0';
 
+// Minimum time between graph redraws triggered by live state updates
+const GRAPH_UPDATE_INTERVAL = 30 * 1000;
+
+// Raw states kept next to long-term statistics, for checks that need the
+// recent readings rather than hourly means
+const LIVE_BUFFER_HOURS = 24;
+
+const UNAVAILABLE_STATES = ['unavailable', 'unknown'];
+
+// A trend counts as steady when it would move the value by less than this
+// fraction of the metric's graph range over the lookback window
+const TREND_STEADY_FRACTION = 0.02;
+// Time-to-threshold estimates further out than this are not shown
+const TREND_MAX_ETA_HOURS = 12;
+
+// Tap/hold/double-tap gesture timing: a hold fires after HOLD_DELAY unless the
+// pointer moved more than HOLD_MOVE_TOLERANCE pixels (i.e. it is a drag)
+const HOLD_DELAY = 500;
+const HOLD_MOVE_TOLERANCE = 10;
+const DOUBLE_TAP_WINDOW = 250;
+const ACTION_GESTURES = ['tap_action', 'hold_action', 'double_tap_action'];
+
+// `fixed` draws the metric's min..max range and clamps readings outside it,
+// `auto` scales to the readings. Without either, the range is widened to fit.
+const Y_AXIS_MODES = ['fixed', 'auto'];
+
+// Expanded view: range presets in hours, zoom limits and the color of the
+// second metric drawn on its own axis
+const EXPANDED_PRESETS = [
+  { label: '1h', hours: 1 },
+  { label: '6h', hours: 6 },
+  { label: '24h', hours: 24 },
+  { label: '7d', hours: 168 },
+  { label: '30d', hours: 720 }
+];
+const EXPANDED_MIN_MINUTES = 10;
+const EXPANDED_MAX_HOURS = 8760;
+const EXPANDED_SECONDARY_COLOR = '#9c27b0';
+
+const TREND_ICONS = {
+  up: 'mdi:arrow-top-right',
+  down: 'mdi:arrow-bottom-right',
+  steady: 'mdi:arrow-right'
+};
+
+// States of a recommendation action's target that mean it is not running
+const IDLE_STATES = ['off', 'closed', 'idle', 'standby', ...UNAVAILABLE_STATES];
+
+// Line colors for the rooms in the overlay graph
+const ROOM_COLORS = ['#2196f3', '#e91e63', '#4caf50', '#ff9800', '#9c27b0', '#00bcd4', '#795548', '#607d8b'];
+
+// Upper bound on <stop> elements in a graph's color gradient
+const MAX_GRADIENT_STOPS = 64;
+
+// Windows longer than this many days use daily instead of hourly statistics
+const DAILY_STATISTICS_AFTER_DAYS = 31;
+
+// Built-in metrics in display order. `min`/`max` set the default graph range
+// and `decimals` the precision of displayed values. Temperature takes its unit
+// and range from temperature_unit. Sensor values in other units are converted
+// to these before thresholding, graphing and display. Each `<key>_entity` option and each
+// `metrics:` entry with a matching `type` maps onto one of these. `units` lists
+// the sensor units the default bands can grade; readings in any other unit
+// are shown but not graded.
+const METRICS = [
+  { key: 'co2', label: 'CO₂', unit: 'ppm', decimals: 0, min: 400, max: 2000 },
+  { key: 'pm1', label: 'PM1', unit: 'μg/m³', decimals: 1, min: 0, max: 60 },
+  { key: 'pm25', label: 'PM2.5', unit: 'μg/m³', decimals: 1, min: 0, max: 60 },
+  { key: 'pm10', label: 'PM10', unit: 'μg/m³', decimals: 1, min: 0, max: 150 },
+  { key: 'hcho', label: 'HCHO / CH₂O', unit: 'ppb', decimals: 1, min: 0, max: 300 },
+  { key: 'tvoc', label: 'tVOC', unit: 'ppb', decimals: 1, min: 0, max: 1500 },
+  { key: 'no2', label: 'NO₂', unit: 'μg/m³', decimals: 0, min: 0, max: 200, units: ['µg/m³', 'mg/m³', 'ppb', 'ppm'] },
+  { key: 'nox_index', label: 'NOx Index', decimals: 0, min: 1, max: 300 },
+  { key: 'o3', label: 'O₃', unit: 'ppb', decimals: 0, min: 0, max: 120 },
+  { key: 'co', label: 'CO', unit: 'ppm', decimals: 1, min: 0, max: 15 },
+  { key: 'radon', label: 'Radon', unit: 'Bq/m³', decimals: 0, min: 0, max: 300 },
+  { key: 'humidity', label: 'Humidity', unit: '%', decimals: 0, min: 0, max: 100 },
+  { key: 'temperature', label: 'Temperature', decimals: 0 }
+];
+
+// Default threshold bands per metric. A band applies while the value is below
+// its `max`; the last band has no `max` and catches everything above it.
+// `level` is the shared severity scale (0 = excellent … 4 = poor) read by the
+// overall status badge and the built-in recommendation; `status` is the
+// badge's wording when it differs from the `label` next to the value.
+const DEFAULT_THRESHOLDS = {
+  co2: [
+    { max: 600, color: '#4caf50', label: 'Excellent', level: 0 },
+    { max: 800, color: '#8bc34a', label: 'Excellent', status: 'Good', level: 1 },
+    { max: 1000, color: '#ffc107', label: 'Good', status: 'Moderate', level: 2 },
+    { max: 1500, color: '#ff9800', label: 'Elevated', status: 'Fair', level: 3 },
+    { color: '#f44336', label: 'Poor', level: 4 }
+  ],
+  pm25: [
+    { max: 5, color: '#4caf50', label: 'Excellent', level: 0 },
+    { max: 15, color: '#8bc34a', label: 'Good', level: 1 },
+    { max: 25, color: '#ffc107', label: 'Moderate', level: 2 },
+    { max: 35, color: '#ff9800', label: 'Elevated', status: 'Fair', level: 3 },
+    { color: '#f44336', label: 'Poor', level: 4 }
+  ],
+  pm1: [
+    { max: 5, color: '#4caf50', label: 'Excellent', level: 0 },
+    { max: 10, color: '#8bc34a', label: 'Good', level: 1 },
+    { max: 20, color: '#ffc107', label: 'Moderate', level: 2 },
+    { max: 30, color: '#ff9800', label: 'Elevated', level: 3 },
+    { color: '#f44336', label: 'Poor', level: 4 }
+  ],
+  // WHO 2021: 15 µg/m³ annual, 45 µg/m³ 24-hour guideline
+  pm10: [
+    { max: 15, color: '#4caf50', label: 'Excellent', level: 0 },
+    { max: 45, color: '#8bc34a', label: 'Good', level: 1 },
+    { max: 75, color: '#ffc107', label: 'Moderate', level: 2 },
+    { max: 150, color: '#ff9800', label: 'Elevated', level: 3 },
+    { color: '#f44336', label: 'Poor', level: 4 }
+  ],
+  hcho: [
+    { max: 20, color: '#4caf50', label: 'Excellent', level: 0 },
+    { max: 50, color: '#8bc34a', label: 'Good', level: 1 },
+    { max: 100, color: '#ffc107', label: 'Moderate', level: 2 },
+    { max: 200, color: '#ff9800', label: 'Elevated', level: 3 },
+    { color: '#f44336', label: 'Poor', level: 4 }
+  ],
+  tvoc: [
+    { max: 100, color: '#4caf50', label: 'Excellent', level: 0 },
+    { max: 300, color: '#8bc34a', label: 'Good', level: 1 },
+    { max: 500, color: '#ffc107', label: 'Moderate', level: 2 },
+    { max: 1000, color: '#ff9800', label: 'Elevated', level: 3 },
+    { color: '#f44336', label: 'Poor', level: 4 }
+  ],
+  // WHO 2021: 10 µg/m³ annual, 25 µg/m³ 24-hour guideline, 120 µg/m³ interim target 1
+  no2: [
+    { max: 10, color: '#4caf50', label: 'Excellent', level: 0 },
+    { max: 25, color: '#8bc34a', label: 'Good', level: 1 },
+    { max: 50, color: '#ffc107', label: 'Moderate', level: 2 },
+    { max: 120, color: '#ff9800', label: 'Elevated', level: 3 },
+    { color: '#f44336', label: 'Poor', level: 4 }
+  ],
+  // US EPA 8-hour ozone AQI breakpoints
+  o3: [
+    { max: 25, color: '#4caf50', label: 'Excellent', level: 0 },
+    { max: 55, color: '#8bc34a', label: 'Good', level: 1 },
+    { max: 71, color: '#ffc107', label: 'Moderate', level: 2 },
+    { max: 86, color: '#ff9800', label: 'Elevated', level: 3 },
+    { color: '#f44336', label: 'Poor', level: 4 }
+  ],
+  // US EPA 8-hour CO AQI breakpoints
+  co: [
+    { max: 1, color: '#4caf50', label: 'Excellent', level: 0 },
+    { max: 4.5, color: '#8bc34a', label: 'Good', level: 1 },
+    { max: 9.5, color: '#ffc107', label: 'Moderate', level: 2 },
+    { max: 12.5, color: '#ff9800', label: 'Elevated', level: 3 },
+    { color: '#f44336', label: 'Poor', level: 4 }
+  ],
+  // Sensirion NOx index (SEN5x, SGP41): 1 in clean air, rising toward 500
+  // during NOx events
+  nox_index: [
+    { max: 2, color: '#4caf50', label: 'Excellent', level: 0 },
+    { max: 20, color: '#8bc34a', label: 'Good', level: 1 },
+    { max: 150, color: '#ffc107', label: 'Moderate', level: 2 },
+    { max: 300, color: '#ff9800', label: 'Elevated', level: 3 },
+    { color: '#f44336', label: 'Poor', level: 4 }
+  ],
+  // WHO reference level 100 Bq/m³, US EPA action level 4 pCi/L (148 Bq/m³)
+  radon: [
+    { max: 50, color: '#4caf50', label: 'Excellent', level: 0 },
+    { max: 100, color: '#8bc34a', label: 'Good', level: 1 },
+    { max: 148, color: '#ffc107', label: 'Moderate', level: 2 },
+    { max: 300, color: '#ff9800', label: 'Elevated', level: 3 },
+    { color: '#f44336', label: 'Poor', level: 4 }
+  ],
+  humidity: [
+    { max: 30, color: '#ff9800', label: 'Too Dry', level: 3 },
+    { max: 40, color: '#8bc34a', label: 'Dry', level: 1 },
+    { max: 50, color: '#4caf50', label: 'Comfortable', level: 0 },
+    { max: 60, color: '#8bc34a', label: 'Humid', level: 1 },
+    { color: '#ff9800', label: 'Too Humid', level: 3 }
+  ],
+  temperature: [
+    { max: 18, color: '#2196f3', label: 'Cold', level: 3 },
+    { max: 20, color: '#03a9f4', label: 'Cool', level: 1 },
+    { max: 22, color: '#4caf50', label: 'Comfortable', level: 0 },
+    { max: 24, color: '#ff9800', label: 'Warm', level: 2 },
+    { color: '#f44336', label: 'Hot', level: 3 }
+  ]
+};
+
+// Temperature bands in °F, used when temperature_unit is F
+const DEFAULT_TEMPERATURE_THRESHOLDS_F = [
+  { max: 65, color: '#2196f3', label: 'Cold', level: 3 },
+  { max: 68, color: '#03a9f4', label: 'Cool', level: 1 },
+  { max: 72, color: '#4caf50', label: 'Comfortable', level: 0 },
+  { max: 76, color: '#ff9800', label: 'Warm', level: 2 },
+  { color: '#f44336', label: 'Hot', level: 3 }
+];
+
+// Metrics whose bands run from too low through comfortable to too high, so
+// their levels can't be spread evenly from the first band to the last
+const TWO_SIDED_METRICS = ['humidity', 'temperature'];
+
+// The built-in bands keep the card's original comparisons for the severity
+// level: a reading exactly on a boundary counts toward the better of the two
+// bands, so 1000 ppm CO₂ is still Moderate although its color turns orange
+const DEFAULT_BAND_LISTS = new Set([...Object.values(DEFAULT_THRESHOLDS), DEFAULT_TEMPERATURE_THRESHOLDS_F]);
+
+// Molecular weights (g/mol) for ppb ↔ µg/m³ conversion. tVOC uses the
+// Mølhave reference mixture (~110 g/mol, i.e. 1 ppb ≈ 4.5 µg/m³).
+const MOLECULAR_WEIGHTS = { co2: 44.01, hcho: 30.03, tvoc: 110, no2: 46.01, o3: 48.00, co: 28.01 };
+
+// Molar volume of an ideal gas at 25 °C and 1 atm (L/mol)
+const MOLAR_VOLUME = 24.45;
+
+// US EPA PM2.5 AQI breakpoints (2024 revision): [C_low, C_high, I_low, I_high]
+const EPA_PM25_AQI_BREAKPOINTS = [
+  [0.0, 9.0, 0, 50],
+  [9.1, 35.4, 51, 100],
+  [35.5, 55.4, 101, 150],
+  [55.5, 125.4, 151, 200],
+  [125.5, 225.4, 201, 300],
+  [225.5, 325.4, 301, 500]
+];
+
+// Air quality standards selectable with `standard:`. Each one replaces the
+// PM2.5 bands (and therefore the status wording and overall badge); WHO 2021
+// is the default and uses DEFAULT_THRESHOLDS as-is.
+const STANDARDS = {
+  who: { name: 'WHO 2021', thresholds: {} },
+  epa: {
+    name: 'US EPA AQI',
+    aqi: EPA_PM25_AQI_BREAKPOINTS,
+    thresholds: {
+      pm25: [
+        { max: 9.1, color: '#4caf50', label: 'Good', level: 0 },
+        { max: 35.5, color: '#ffc107', label: 'Moderate', level: 2 },
+        { max: 55.5, color: '#ff9800', label: 'Unhealthy for Sensitive Groups', level: 3 },
+        { max: 125.5, color: '#f44336', label: 'Unhealthy', level: 4 },
+        { max: 225.5, color: '#9c27b0', label: 'Very Unhealthy', level: 4 },
+        { color: '#7e0023', label: 'Hazardous', level: 4 }
+      ]
+    }
+  },
+  eu_caqi: {
+    name: 'EU CAQI',
+    thresholds: {
+      pm25: [
+        { max: 15, color: '#79bc6a', label: 'Very Low', level: 0 },
+        { max: 30, color: '#bbcf4c', label: 'Low', level: 1 },
+        { max: 55, color: '#eec20b', label: 'Medium', level: 2 },
+        { max: 110, color: '#f29305', label: 'High', level: 3 },
+        { color: '#e8416f', label: 'Very High', level: 4 }
+      ]
+    }
+  },
+  uk_daqi: {
+    name: 'UK DAQI',
+    thresholds: {
+      pm25: [
+        { max: 12, color: '#9cff9c', label: 'Low (1)', level: 0 },
+        { max: 24, color: '#31ff00', label: 'Low (2)', level: 1 },
+        { max: 36, color: '#31cf00', label: 'Low (3)', level: 2 },
+        { max: 42, color: '#ffff00', label: 'Moderate (4)', level: 3 },
+        { max: 48, color: '#ffcf00', label: 'Moderate (5)', level: 3 },
+        { max: 54, color: '#ff9a00', label: 'Moderate (6)', level: 3 },
+        { max: 59, color: '#ff6464', label: 'High (7)', level: 4 },
+        { max: 65, color: '#ff0000', label: 'High (8)', level: 4 },
+        { max: 71, color: '#990000', label: 'High (9)', level: 4 },
+        { color: '#ce30ff', label: 'Very High (10)', level: 4 }
+      ]
+    }
+  }
+};
+
+// Built-in recommendation rules, checked in order; the first rule whose
+// conditions all hold is shown. `level` is the minimum band level and `side`
+// which side of the most comfortable band the value is on. Severity:
+// 0 = all good, 1 = worth a look, 2 = act now. `ventilate` rules are checked
+// against the outdoor air.
+const DEFAULT_RECOMMENDATIONS = [
+  {
+    title: 'Ventilate Now', icon: 'mdi:alert-circle', severity: 2, ventilate: true,
+    subtitle: 'CO₂ at {co2} ppm - may affect focus',
+    all: [{ metric: 'co2', level: 4 }]
+  },
+  {
+    title: 'Run Air Purifier', icon: 'mdi:air-purifier', severity: 2,
+    subtitle: 'PM2.5 at {pm25} μg/m³ - filter the air',
+    all: [{ metric: 'pm25', level: 4 }]
+  },
+  {
+    title: 'Air Purifier + Ventilate', icon: 'mdi:alert', severity: 2, ventilate: true,
+    subtitle: 'CO₂: {co2} ppm, PM2.5: {pm25} μg/m³',
+    all: [{ metric: 'pm25', level: 3 }, { metric: 'co2', level: 3 }]
+  },
+  {
+    title: 'Run Air Purifier', icon: 'mdi:air-purifier', severity: 2,
+    subtitle: 'PM2.5 at {pm25} μg/m³ - filter the air',
+    all: [{ metric: 'pm25', level: 3 }]
+  },
+  {
+    title: 'Open Window', icon: 'mdi:window-open-variant', severity: 2, ventilate: true,
+    subtitle: 'CO₂ at {co2} ppm - fresh air needed',
+    all: [{ metric: 'co2', level: 3 }]
+  },
+  {
+    title: 'Ventilate – Formaldehyde', icon: 'mdi:molecule', severity: 2, ventilate: true,
+    subtitle: 'HCHO at {hcho} ppb - air out the room',
+    all: [{ metric: 'hcho', level: 3 }]
+  },
+  {
+    title: 'Ventilate – VOC source', icon: 'mdi:spray', severity: 2, ventilate: true,
+    subtitle: 'tVOC at {tvoc} ppb - air out the room',
+    all: [{ metric: 'tvoc', level: 3 }]
+  },
+  {
+    title: 'Too Dry', icon: 'mdi:water-percent', severity: 1,
+    subtitle: 'Humidity at {humidity}% - consider humidifier',
+    all: [{ metric: 'humidity', level: 3, side: 'low' }]
+  },
+  {
+    title: 'Too Humid', icon: 'mdi:water', severity: 1, ventilate: true,
+    subtitle: 'Humidity at {humidity}% - ventilate',
+    all: [{ metric: 'humidity', level: 3, side: 'high' }]
+  },
+  {
+    title: 'Consider Ventilating', icon: 'mdi:information', severity: 1, ventilate: true,
+    subtitle: 'CO₂ at {co2} ppm',
+    all: [{ metric: 'co2', level: 2 }]
+  },
+  {
+    title: 'Consider Ventilating', icon: 'mdi:information', severity: 1, ventilate: true,
+    subtitle: 'PM2.5 at {pm25} μg/m³',
+    all: [{ metric: 'pm25', level: 2 }]
+  },
+  {
+    title: 'All Good', icon: 'mdi:check-circle', severity: 0,
+    subtitle: 'Air quality is within healthy limits'
+  }
+];
+const RECOMMENDATION_SIDES = ['low', 'high'];
+
+// Default weight of each metric type in the IAQ score; custom metrics without
+// a type count once. `score_weights` overrides these per metric key.
+const SCORE_WEIGHTS = {
+  co2: 3, pm25: 3, pm1: 1, pm10: 2, hcho: 2, tvoc: 2, no2: 2, nox_index: 1, o3: 2, co: 3, radon: 2, humidity: 1, temperature: 1
+};
+
+// A metric's sub-score falls from 100 in a level 0 band to 0 at this level
+const SCORE_MAX_LEVEL = 4;
+
+// Defaults of the `alerts` option. `level` is the band level that raises an
+// alert, `hysteresis` the share of the graph range (in %) the value must move
+// back past the band boundary to clear it, and `min_duration` the minutes the
+// level must hold first.
+const ALERT_DEFAULTS = { level: 3, hysteresis: 5, min_duration: 2, notification: false, sound: false, log_size: 20 };
+const ALERT_BEEP_FREQUENCY = 880;
+
+// `publish` options: which result is written to which kind of helper
+const PUBLISH_HELPERS = [
+  { option: 'status_entity', field: 'status', domain: 'input_text' },
+  { option: 'score_entity', field: 'score', domain: 'input_number' },
+  { option: 'recommendation_entity', field: 'recommendation', domain: 'input_text' }
+];
+const PUBLISH_EVENT = 'air_quality_card';
+// Every open dashboard computes the same results. Each waits a random moment
+// of up to this many ms before publishing and skips what another one already did.
+const PUBLISH_MAX_DELAY = 3000;
+
+// Bands of the 0–100 score itself, graded like the metrics
+const SCORE_THRESHOLDS = [
+  { max: 25, color: '#f44336', label: 'Poor', level: 4 },
+  { max: 50, color: '#ff9800', label: 'Elevated', level: 3 },
+  { max: 70, color: '#ffc107', label: 'Moderate', level: 2 },
+  { max: 90, color: '#8bc34a', label: 'Good', level: 1 },
+  { color: '#4caf50', label: 'Excellent', level: 0 }
+];
+
+// Metrics that can have an `outdoor_<key>_entity`
+const OUTDOOR_METRICS = ['pm25', 'temperature', 'humidity'];
+// Ventilation advice is replaced when outdoor PM2.5 is above indoor and at
+// least in this band, and asks for short airing outside this range (°C)
+const OUTDOOR_PM25_LEVEL = 2;
+const OUTDOOR_TEMPERATURE_RANGE = [5, 30];
+const UNAVAILABLE_RECOMMENDATION = {
+  title: 'Sensors Unavailable', icon: 'mdi:help-circle-outline', severity: 1,
+  subtitle: 'No readings to assess the air'
+};
+const KEEP_CLOSED_RECOMMENDATION = {
+  title: 'Keep Windows Closed', icon: 'mdi:window-closed-variant',
+  subtitle: 'Outdoor PM2.5 at {outdoor_pm25} μg/m³ - use an air purifier instead'
+};
+
+// Languages with a translation, by their own name
+const LANGUAGE_NAMES = {
+  en: 'English',
+  de: 'Deutsch',
+  nl: 'Nederlands',
+  fr: 'Français',
+  es: 'Español',
+  sv: 'Svenska'
+};
+
+// UI strings per language. English is the source and the fallback for
+// missing keys. Band labels, metric names and recommendations are
+// translated by their English text (`label.*`, `recommendation.*`,
+// `subtitle.*`), so the English recommendation stays the canonical key for
+// configuration.
+const TRANSLATIONS = {
+  en: {
+    'card.name': 'Air Quality',
+    'action.running': 'Running',
+    'action.open': 'Open',
+    'action.confirm': 'Are you sure you want to {action}?',
+    'action.failed': 'Failed to call {service}: {error}',
+    'rooms.all_rooms': 'All Rooms',
+    'rooms.room': 'Room {number}',
+    'graph.expand': 'Expand',
+    'score.label': 'IAQ Score',
+    'score.points': '−{points} pts',
+    'alerts.log': 'Recent Alerts',
+    'alerts.empty': 'No alerts yet',
+    'alerts.cleared': '{metric} back to {label}',
+    'alerts.dismiss': 'Dismiss',
+    'template.hint': 'Add this to configuration.yaml, then set recommendation_entity to the new sensor.',
+    'template.generate': 'Generate Template Sensor YAML',
+    'template.copy': 'Copy',
+    'state.unavailable': 'Unavailable',
+    'state.stale': 'Last update {age} ago',
+    'assessment.partial': 'Partial assessment – unavailable: {metrics}',
+    'assessment.stale': 'No recent data: {metrics}',
+    'outdoor.value': 'Outside {value}',
+    'outdoor.delta': '{delta} vs. inside',
+    'outdoor.absolute_humidity': 'absolute {outdoor} vs. {indoor} g/m³ inside',
+    'stats.min': 'Min',
+    'stats.max': 'Max',
+    'stats.mean': 'Mean',
+    'stats.twa': 'TWA',
+    'trend.until': '~{eta} until {value} {unit}',
+    'duration.minutes': '{minutes} min',
+    'duration.hours': '{hours} h {minutes} min',
+    'duration.days': '{days} d',
+    'expanded.no_overlay': 'No overlay',
+    'expanded.overlay': 'Overlay {metric}',
+    'editor.section.advanced': 'Advanced',
+    'editor.section.interactions': 'Interactions',
+    'editor.section.outdoor': 'Outdoor Air',
+    'editor.option.fahrenheit': 'Fahrenheit (°F)',
+    'editor.option.celsius': 'Celsius (°C)',
+    'editor.option.fixed': 'Fixed',
+    'editor.option.auto': 'Auto',
+    'editor.name': 'Card Name',
+    'editor.co2_entity': 'CO₂ Sensor',
+    'editor.pm25_entity': 'PM2.5 Sensor',
+    'editor.humidity_entity': 'Humidity Sensor (optional)',
+    'editor.temperature_entity': 'Temperature Sensor (optional)',
+    'editor.outdoor_pm25_entity': 'Outdoor PM2.5 Sensor (optional)',
+    'editor.outdoor_temperature_entity': 'Outdoor Temperature (optional)',
+    'editor.outdoor_humidity_entity': 'Outdoor Humidity (optional)',
+    'editor.air_quality_entity': 'Air Quality Index (optional)',
+    'editor.hcho_entity': 'Formaldehyde (HCHO; CH2O) Sensor (optional)',
+    'editor.tvoc_entity': 'Volatile Organic Compounds (tVOC) Sensor (optional)',
+    'editor.pm1_entity': 'PM1 Sensor (optional)',
+    'editor.pm10_entity': 'PM10 Sensor (optional)',
+    'editor.no2_entity': 'Nitrogen Dioxide (NO₂) Sensor (optional)',
+    'editor.nox_index_entity': 'NOx Index Sensor (optional)',
+    'editor.o3_entity': 'Ozone (O₃) Sensor (optional)',
+    'editor.co_entity': 'Carbon Monoxide (CO) Sensor (optional)',
+    'editor.radon_entity': 'Radon Sensor (optional)',
+    'editor.recommendation_entity': 'Recommendation Sensor (optional)',
+    'editor.hours_to_show': 'Graph History',
+    'editor.statistics_after_hours': 'Use Long-Term Statistics Beyond',
+    'editor.stale_after': 'Warn About Stale Data After',
+    'editor.temperature_unit': 'Temperature Unit',
+    'editor.standard': 'Air Quality Standard',
+    'editor.language': 'Language',
+    'editor.metrics': 'Additional Metrics',
+    'editor.recommendations': 'Recommendation Rules',
+    'editor.publish': 'Publish Results to Home Assistant',
+    'editor.alerts': 'Threshold Alerts',
+    'editor.trend_minutes': 'Trend Lookback',
+    'editor.show_trend': 'Show Trend',
+    'editor.show_time_to_threshold': 'Show Time Until Next Threshold',
+    'editor.show_stats': 'Show Statistics',
+    'editor.show_threshold_lines': 'Show Threshold Lines',
+    'editor.show_bands': 'Show Band Backgrounds',
+    'editor.show_y_axis': 'Show Y-Axis Labels',
+    'editor.y_axis': 'Y-Axis Range',
+    'editor.sync_cursor': 'Synchronize Cursor Across Graphs',
+    'editor.combined_tooltip': 'Combined Tooltip',
+    'editor.show_score': 'Show IAQ Score',
+    'editor.show_score_graph': 'Show IAQ Score Graph',
+    'editor.score_weights': 'IAQ Score Weights',
+    'editor.tap_action': 'Graph Tap Action',
+    'editor.hold_action': 'Graph Hold Action',
+    'editor.double_tap_action': 'Graph Double Tap Action',
+    'editor.header_tap_action': 'Header Tap Action',
+    'editor.badge_tap_action': 'Status Badge Tap Action'
+  },
+  de: {
+    'label.Excellent': 'Ausgezeichnet',
+    'label.Good': 'Gut',
+    'label.Moderate': 'Mäßig',
+    'label.Elevated': 'Erhöht',
+    'label.Poor': 'Schlecht',
+    'label.Fair': 'Ausreichend',
+    'label.Very Poor': 'Sehr schlecht',
+    'label.Extremely Poor': 'Extrem schlecht',
+    'label.Unhealthy for Sensitive Groups': 'Ungesund für empfindliche Gruppen',
+    'label.Unhealthy': 'Ungesund',
+    'label.Very Unhealthy': 'Sehr ungesund',
+    'label.Hazardous': 'Gefährlich',
+    'label.Very Low': 'Sehr niedrig',
+    'label.Low': 'Niedrig',
+    'label.Medium': 'Mittel',
+    'label.High': 'Hoch',
+    'label.Very High': 'Sehr hoch',
+    'label.Too Dry': 'Zu trocken',
+    'label.Dry': 'Trocken',
+    'label.Comfortable': 'Angenehm',
+    'label.Humid': 'Feucht',
+    'label.Too Humid': 'Zu feucht',
+    'label.Cold': 'Kalt',
+    'label.Cool': 'Kühl',
+    'label.Warm': 'Warm',
+    'label.Hot': 'Heiß',
+    'label.Humidity': 'Luftfeuchtigkeit',
+    'label.Temperature': 'Temperatur',
+    'label.Radon': 'Radon',
+    'label.NOx Index': 'NOx-Index',
+    'recommendation.All Good': 'Alles gut',
+    'recommendation.Consider Ventilating': 'Lüften empfohlen',
+    'recommendation.Open Window': 'Fenster öffnen',
+    'recommendation.Run Air Purifier': 'Luftreiniger einschalten',
+    'recommendation.Air Purifier + Ventilate': 'Luftreiniger + Lüften',
+    'recommendation.Ventilate Now': 'Jetzt lüften',
+    'recommendation.Too Dry': 'Zu trocken',
+    'recommendation.Too Humid': 'Zu feucht',
+    'recommendation.Ventilate – VOC source': 'Lüften – VOC-Quelle',
+    'recommendation.Ventilate – Formaldehyde': 'Lüften – Formaldehyd',
+    'recommendation.Keep Windows Closed': 'Fenster geschlossen halten',
+    'recommendation.Sensors Unavailable': 'Sensoren nicht verfügbar',
+    'card.name': 'Luftqualität',
+    'subtitle.Air quality is within healthy limits': 'Die Luftqualität liegt im gesunden Bereich',
+    'subtitle.PM2.5 at {pm25} μg/m³ - filter the air': 'PM2.5 bei {pm25} μg/m³ - Luft filtern',
+    'subtitle.CO₂ at {co2} ppm - fresh air needed': 'CO₂ bei {co2} ppm - Frischluft nötig',
+    'subtitle.CO₂: {co2} ppm, PM2.5: {pm25} μg/m³': 'CO₂: {co2} ppm, PM2.5: {pm25} μg/m³',
+    'subtitle.CO₂ at {co2} ppm - may affect focus': 'CO₂ bei {co2} ppm - kann die Konzentration beeinträchtigen',
+    'subtitle.Humidity at {humidity}% - consider humidifier': 'Luftfeuchtigkeit bei {humidity}% - Luftbefeuchter erwägen',
+    'subtitle.Humidity at {humidity}% - ventilate': 'Luftfeuchtigkeit bei {humidity}% - lüften',
+    'subtitle.CO₂ at {co2} ppm': 'CO₂ bei {co2} ppm',
+    'subtitle.PM2.5 at {pm25} μg/m³': 'PM2.5 bei {pm25} μg/m³',
+    'subtitle.tVOC at {tvoc} ppb - air out the room': 'tVOC bei {tvoc} ppb - Raum lüften',
+    'subtitle.HCHO at {hcho} ppb - air out the room': 'HCHO bei {hcho} ppb - Raum lüften',
+    'subtitle.No readings to assess the air': 'Keine Messwerte zur Bewertung der Luft',
+    'subtitle.Outdoor PM2.5 at {outdoor_pm25} μg/m³ - use an air purifier instead': 'PM2.5 draußen bei {outdoor_pm25} μg/m³ - besser den Luftreiniger nutzen',
+    'subtitle.Only {outdoor_temperature}° outside - air out briefly with the window wide open': 'Nur {outdoor_temperature}° draußen - kurz stoßlüften',
+    'subtitle.{outdoor_temperature}° outside - air out briefly or in the cooler hours': '{outdoor_temperature}° draußen - kurz oder in den kühleren Stunden lüften',
+    'subtitle.Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help': 'Die Außenluft ist trockener ({outdoor_absolute_humidity} statt {absolute_humidity} g/m³) - Lüften hilft',
+    'subtitle.Outside air is more humid ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - use a dehumidifier': 'Die Außenluft ist feuchter ({outdoor_absolute_humidity} statt {absolute_humidity} g/m³) - Luftentfeuchter nutzen',
+    'subtitle.Outside air holds more moisture ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help': 'Die Außenluft ist feuchter ({outdoor_absolute_humidity} statt {absolute_humidity} g/m³) - Lüften hilft',
+    'subtitle.Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out would dry the room further': 'Die Außenluft ist trockener ({outdoor_absolute_humidity} statt {absolute_humidity} g/m³) - Lüften würde den Raum weiter austrocknen',
+    'action.running': 'Läuft',
+    'action.open': 'Offen',
+    'action.confirm': 'Bist du sicher?',
+    'action.failed': 'Aufruf von {service} fehlgeschlagen: {error}',
+    'rooms.all_rooms': 'Alle Räume',
+    'rooms.room': 'Raum {number}',
+    'graph.expand': 'Vergrößern',
+    'score.label': 'IAQ-Wert',
+    'score.points': '−{points} Pkt.',
+    'alerts.log': 'Letzte Warnungen',
+    'alerts.empty': 'Noch keine Warnungen',
+    'alerts.cleared': '{metric} wieder {label}',
+    'alerts.dismiss': 'Ausblenden',
+    'template.hint': 'Füge dies in die configuration.yaml ein und setze recommendation_entity auf den neuen Sensor.',
+    'template.generate': 'YAML für Template-Sensor erzeugen',
+    'template.copy': 'Kopieren',
+    'state.unavailable': 'Nicht verfügbar',
+    'state.stale': 'Letzte Aktualisierung vor {age}',
+    'assessment.partial': 'Teilweise Bewertung – nicht verfügbar: {metrics}',
+    'assessment.stale': 'Keine aktuellen Daten: {metrics}',
+    'outdoor.value': 'Draußen {value}',
+    'outdoor.delta': '{delta} ggü. drinnen',
+    'outdoor.absolute_humidity': 'absolut {outdoor} ggü. {indoor} g/m³ drinnen',
+    'stats.min': 'Min',
+    'stats.max': 'Max',
+    'stats.mean': 'Mittel',
+    'stats.twa': 'Zeitgew.',
+    'trend.until': '~{eta} bis {value} {unit}',
+    'duration.minutes': '{minutes} Min.',
+    'duration.hours': '{hours} Std. {minutes} Min.',
+    'duration.days': '{days} Tg.',
+    'expanded.no_overlay': 'Keine Überlagerung',
+    'expanded.overlay': '{metric} überlagern',
+    'editor.section.advanced': 'Erweitert',
+    'editor.section.interactions': 'Interaktionen',
+    'editor.section.outdoor': 'Außenluft',
+    'editor.option.fahrenheit': 'Fahrenheit (°F)',
+    'editor.option.celsius': 'Celsius (°C)',
+    'editor.option.fixed': 'Fest',
+    'editor.option.auto': 'Automatisch',
+    'editor.name': 'Kartenname',
+    'editor.co2_entity': 'CO₂-Sensor',
+    'editor.pm25_entity': 'PM2.5-Sensor',
+    'editor.humidity_entity': 'Luftfeuchtigkeitssensor (optional)',
+    'editor.temperature_entity': 'Temperatursensor (optional)',
+    'editor.outdoor_pm25_entity': 'PM2.5-Sensor außen (optional)',
+    'editor.outdoor_temperature_entity': 'Außentemperatur (optional)',
+    'editor.outdoor_humidity_entity': 'Luftfeuchtigkeit außen (optional)',
+    'editor.air_quality_entity': 'Luftqualitätsindex (optional)',
+    'editor.hcho_entity': 'Formaldehyd-Sensor (HCHO; CH2O) (optional)',
+    'editor.tvoc_entity': 'Sensor für flüchtige organische Verbindungen (tVOC) (optional)',
+    'editor.pm1_entity': 'PM1-Sensor (optional)',
+    'editor.pm10_entity': 'PM10-Sensor (optional)',
+    'editor.no2_entity': 'Stickstoffdioxid-Sensor (NO₂) (optional)',
+    'editor.nox_index_entity': 'NOx-Index-Sensor (optional)',
+    'editor.o3_entity': 'Ozon-Sensor (O₃) (optional)',
+    'editor.co_entity': 'Kohlenmonoxid-Sensor (CO) (optional)',
+    'editor.radon_entity': 'Radon-Sensor (optional)',
+    'editor.recommendation_entity': 'Empfehlungssensor (optional)',
+    'editor.hours_to_show': 'Verlauf im Diagramm',
+    'editor.statistics_after_hours': 'Langzeitstatistik verwenden ab',
+    'editor.stale_after': 'Vor veralteten Daten warnen nach',
+    'editor.temperature_unit': 'Temperatureinheit',
+    'editor.standard': 'Luftqualitätsstandard',
+    'editor.language': 'Sprache',
+    'editor.metrics': 'Weitere Messwerte',
+    'editor.recommendations': 'Empfehlungsregeln',
+    'editor.publish': 'Ergebnisse an Home Assistant übergeben',
+    'editor.alerts': 'Grenzwert-Warnungen',
+    'editor.trend_minutes': 'Zeitraum für Trend',
+    'editor.show_trend': 'Trend anzeigen',
+    'editor.show_time_to_threshold': 'Zeit bis zum nächsten Grenzwert anzeigen',
+    'editor.show_stats': 'Statistik anzeigen',
+    'editor.show_threshold_lines': 'Grenzwertlinien anzeigen',
+    'editor.show_bands': 'Bereichsfarben im Hintergrund anzeigen',
+    'editor.show_y_axis': 'Y-Achsenbeschriftung anzeigen',
+    'editor.y_axis': 'Y-Achsenbereich',
+    'editor.sync_cursor': 'Cursor über alle Diagramme synchronisieren',
+    'editor.combined_tooltip': 'Kombinierter Tooltip',
+    'editor.show_score': 'IAQ-Wert anzeigen',
+    'editor.show_score_graph': 'IAQ-Wert-Diagramm anzeigen',
+    'editor.score_weights': 'Gewichtung des IAQ-Werts',
+    'editor.tap_action': 'Tippen-Aktion für Diagramme',
+    'editor.hold_action': 'Halten-Aktion für Diagramme',
+    'editor.double_tap_action': 'Doppeltippen-Aktion für Diagramme',
+    'editor.header_tap_action': 'Tippen-Aktion für den Titel',
+    'editor.badge_tap_action': 'Tippen-Aktion für das Status-Badge'
+  },
+  nl: {
+    'label.Excellent': 'Uitstekend',
+    'label.Good': 'Goed',
+    'label.Moderate': 'Matig',
+    'label.Elevated': 'Verhoogd',
+    'label.Poor': 'Slecht',
+    'label.Fair': 'Redelijk',
+    'label.Very Poor': 'Zeer slecht',
+    'label.Extremely Poor': 'Extreem slecht',
+    'label.Unhealthy for Sensitive Groups': 'Ongezond voor gevoelige groepen',
+    'label.Unhealthy': 'Ongezond',
+    'label.Very Unhealthy': 'Zeer ongezond',
+    'label.Hazardous': 'Gevaarlijk',
+    'label.Very Low': 'Zeer laag',
+    'label.Low': 'Laag',
+    'label.Medium': 'Gemiddeld',
+    'label.High': 'Hoog',
+    'label.Very High': 'Zeer hoog',
+    'label.Too Dry': 'Te droog',
+    'label.Dry': 'Droog',
+    'label.Comfortable': 'Comfortabel',
+    'label.Humid': 'Vochtig',
+    'label.Too Humid': 'Te vochtig',
+    'label.Cold': 'Koud',
+    'label.Cool': 'Koel',
+    'label.Warm': 'Warm',
+    'label.Hot': 'Heet',
+    'label.Humidity': 'Luchtvochtigheid',
+    'label.Temperature': 'Temperatuur',
+    'label.Radon': 'Radon',
+    'label.NOx Index': 'NOx-index',
+    'recommendation.All Good': 'Alles goed',
+    'recommendation.Consider Ventilating': 'Overweeg te ventileren',
+    'recommendation.Open Window': 'Open een raam',
+    'recommendation.Run Air Purifier': 'Zet de luchtreiniger aan',
+    'recommendation.Air Purifier + Ventilate': 'Luchtreiniger + ventileren',
+    'recommendation.Ventilate Now': 'Nu ventileren',
+    'recommendation.Too Dry': 'Te droog',
+    'recommendation.Too Humid': 'Te vochtig',
+    'recommendation.Ventilate – VOC source': 'Ventileren – VOS-bron',
+    'recommendation.Ventilate – Formaldehyde': 'Ventileren – formaldehyde',
+    'recommendation.Keep Windows Closed': 'Ramen dicht houden',
+    'recommendation.Sensors Unavailable': 'Sensoren niet beschikbaar',
+    'card.name': 'Luchtkwaliteit',
+    'subtitle.Air quality is within healthy limits': 'De luchtkwaliteit is binnen gezonde grenzen',
+    'subtitle.PM2.5 at {pm25} μg/m³ - filter the air': 'PM2.5 op {pm25} μg/m³ - filter de lucht',
+    'subtitle.CO₂ at {co2} ppm - fresh air needed': 'CO₂ op {co2} ppm - frisse lucht nodig',
+    'subtitle.CO₂: {co2} ppm, PM2.5: {pm25} μg/m³': 'CO₂: {co2} ppm, PM2.5: {pm25} μg/m³',
+    'subtitle.CO₂ at {co2} ppm - may affect focus': 'CO₂ op {co2} ppm - kan de concentratie beïnvloeden',
+    'subtitle.Humidity at {humidity}% - consider humidifier': 'Luchtvochtigheid op {humidity}% - overweeg een luchtbevochtiger',
+    'subtitle.Humidity at {humidity}% - ventilate': 'Luchtvochtigheid op {humidity}% - ventileer',
+    'subtitle.CO₂ at {co2} ppm': 'CO₂ op {co2} ppm',
+    'subtitle.PM2.5 at {pm25} μg/m³': 'PM2.5 op {pm25} μg/m³',
+    'subtitle.tVOC at {tvoc} ppb - air out the room': 'tVOC op {tvoc} ppb - lucht de ruimte',
+    'subtitle.HCHO at {hcho} ppb - air out the room': 'HCHO op {hcho} ppb - lucht de ruimte',
+    'subtitle.No readings to assess the air': 'Geen metingen om de lucht te beoordelen',
+    'subtitle.Outdoor PM2.5 at {outdoor_pm25} μg/m³ - use an air purifier instead': 'PM2.5 buiten op {outdoor_pm25} μg/m³ - gebruik liever de luchtreiniger',
+    'subtitle.Only {outdoor_temperature}° outside - air out briefly with the window wide open': 'Slechts {outdoor_temperature}° buiten - kort en krachtig luchten',
+    'subtitle.{outdoor_temperature}° outside - air out briefly or in the cooler hours': '{outdoor_temperature}° buiten - kort luchten of in de koelere uren',
+    'subtitle.Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help': 'De buitenlucht is droger ({outdoor_absolute_humidity} t.o.v. {absolute_humidity} g/m³) - luchten helpt',
+    'subtitle.Outside air is more humid ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - use a dehumidifier': 'De buitenlucht is vochtiger ({outdoor_absolute_humidity} t.o.v. {absolute_humidity} g/m³) - gebruik een luchtontvochtiger',
+    'subtitle.Outside air holds more moisture ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help': 'De buitenlucht is vochtiger ({outdoor_absolute_humidity} t.o.v. {absolute_humidity} g/m³) - luchten helpt',
+    'subtitle.Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out would dry the room further': 'De buitenlucht is droger ({outdoor_absolute_humidity} t.o.v. {absolute_humidity} g/m³) - luchten droogt de ruimte verder uit',
+    'action.running': 'Actief',
+    'action.open': 'Open',
+    'action.confirm': 'Weet je het zeker?',
+    'action.failed': 'Aanroepen van {service} mislukt: {error}',
+    'rooms.all_rooms': 'Alle ruimtes',
+    'rooms.room': 'Ruimte {number}',
+    'graph.expand': 'Vergroten',
+    'score.label': 'IAQ-score',
+    'score.points': '−{points} ptn',
+    'alerts.log': 'Recente waarschuwingen',
+    'alerts.empty': 'Nog geen waarschuwingen',
+    'alerts.cleared': '{metric} weer {label}',
+    'alerts.dismiss': 'Sluiten',
+    'template.hint': 'Voeg dit toe aan configuration.yaml en stel recommendation_entity in op de nieuwe sensor.',
+    'template.generate': 'YAML voor template-sensor genereren',
+    'template.copy': 'Kopiëren',
+    'state.unavailable': 'Niet beschikbaar',
+    'state.stale': 'Laatst bijgewerkt {age} geleden',
+    'assessment.partial': 'Gedeeltelijke beoordeling – niet beschikbaar: {metrics}',
+    'assessment.stale': 'Geen recente gegevens: {metrics}',
+    'outdoor.value': 'Buiten {value}',
+    'outdoor.delta': '{delta} t.o.v. binnen',
+    'outdoor.absolute_humidity': 'absoluut {outdoor} t.o.v. {indoor} g/m³ binnen',
+    'stats.min': 'Min',
+    'stats.max': 'Max',
+    'stats.mean': 'Gem.',
+    'stats.twa': 'Tijdgew.',
+    'trend.until': '~{eta} tot {value} {unit}',
+    'duration.minutes': '{minutes} min',
+    'duration.hours': '{hours} u {minutes} min',
+    'duration.days': '{days} d',
+    'expanded.no_overlay': 'Geen overlay',
+    'expanded.overlay': '{metric} over elkaar',
+    'editor.section.advanced': 'Geavanceerd',
+    'editor.section.interactions': 'Interacties',
+    'editor.section.outdoor': 'Buitenlucht',
+    'editor.option.fahrenheit': 'Fahrenheit (°F)',
+    'editor.option.celsius': 'Celsius (°C)',
+    'editor.option.fixed': 'Vast',
+    'editor.option.auto': 'Automatisch',
+    'editor.name': 'Kaartnaam',
+    'editor.co2_entity': 'CO₂-sensor',
+    'editor.pm25_entity': 'PM2.5-sensor',
+    'editor.humidity_entity': 'Luchtvochtigheidssensor (optioneel)',
+    'editor.temperature_entity': 'Temperatuursensor (optioneel)',
+    'editor.outdoor_pm25_entity': 'PM2.5-sensor buiten (optioneel)',
+    'editor.outdoor_temperature_entity': 'Buitentemperatuur (optioneel)',
+    'editor.outdoor_humidity_entity': 'Luchtvochtigheid buiten (optioneel)',
+    'editor.air_quality_entity': 'Luchtkwaliteitsindex (optioneel)',
+    'editor.hcho_entity': 'Formaldehydesensor (HCHO; CH2O) (optioneel)',
+    'editor.tvoc_entity': 'Sensor voor vluchtige organische stoffen (tVOC) (optioneel)',
+    'editor.pm1_entity': 'PM1-sensor (optioneel)',
+    'editor.pm10_entity': 'PM10-sensor (optioneel)',
+    'editor.no2_entity': 'Stikstofdioxidesensor (NO₂) (optioneel)',
+    'editor.nox_index_entity': 'NOx-indexsensor (optioneel)',
+    'editor.o3_entity': 'Ozonsensor (O₃) (optioneel)',
+    'editor.co_entity': 'Koolmonoxidesensor (CO) (optioneel)',
+    'editor.radon_entity': 'Radonsensor (optioneel)',
+    'editor.recommendation_entity': 'Adviessensor (optioneel)',
+    'editor.hours_to_show': 'Grafiekgeschiedenis',
+    'editor.statistics_after_hours': 'Langetermijnstatistieken gebruiken vanaf',
+    'editor.stale_after': 'Waarschuwen voor verouderde gegevens na',
+    'editor.temperature_unit': 'Temperatuureenheid',
+    'editor.standard': 'Luchtkwaliteitsnorm',
+    'editor.language': 'Taal',
+    'editor.metrics': 'Extra meetwaarden',
+    'editor.recommendations': 'Adviesregels',
+    'editor.publish': 'Resultaten naar Home Assistant sturen',
+    'editor.alerts': 'Drempelwaarschuwingen',
+    'editor.trend_minutes': 'Periode voor trend',
+    'editor.show_trend': 'Trend tonen',
+    'editor.show_time_to_threshold': 'Tijd tot volgende grenswaarde tonen',
+    'editor.show_stats': 'Statistieken tonen',
+    'editor.show_threshold_lines': 'Grenswaardelijnen tonen',
+    'editor.show_bands': 'Bereikkleuren op achtergrond tonen',
+    'editor.show_y_axis': 'Y-aslabels tonen',
+    'editor.y_axis': 'Y-asbereik',
+    'editor.sync_cursor': 'Cursor over alle grafieken synchroniseren',
+    'editor.combined_tooltip': 'Gecombineerde tooltip',
+    'editor.show_score': 'IAQ-score tonen',
+    'editor.show_score_graph': 'IAQ-scoregrafiek tonen',
+    'editor.score_weights': 'Gewichten van de IAQ-score',
+    'editor.tap_action': 'Tikactie voor grafieken',
+    'editor.hold_action': 'Vasthoudactie voor grafieken',
+    'editor.double_tap_action': 'Dubbeltikactie voor grafieken',
+    'editor.header_tap_action': 'Tikactie voor de titel',
+    'editor.badge_tap_action': 'Tikactie voor de statusbadge'
+  },
+  fr: {
+    'label.Excellent': 'Excellent',
+    'label.Good': 'Bon',
+    'label.Moderate': 'Modéré',
+    'label.Elevated': 'Élevé',
+    'label.Poor': 'Mauvais',
+    'label.Fair': 'Moyen',
+    'label.Very Poor': 'Très mauvais',
+    'label.Extremely Poor': 'Extrêmement mauvais',
+    'label.Unhealthy for Sensitive Groups': 'Mauvais pour les personnes sensibles',
+    'label.Unhealthy': 'Malsain',
+    'label.Very Unhealthy': 'Très malsain',
+    'label.Hazardous': 'Dangereux',
+    'label.Very Low': 'Très faible',
+    'label.Low': 'Faible',
+    'label.Medium': 'Moyen',
+    'label.High': 'Élevé',
+    'label.Very High': 'Très élevé',
+    'label.Too Dry': 'Trop sec',
+    'label.Dry': 'Sec',
+    'label.Comfortable': 'Confortable',
+    'label.Humid': 'Humide',
+    'label.Too Humid': 'Trop humide',
+    'label.Cold': 'Froid',
+    'label.Cool': 'Frais',
+    'label.Warm': 'Chaud',
+    'label.Hot': 'Très chaud',
+    'label.Humidity': 'Humidité',
+    'label.Temperature': 'Température',
+    'label.Radon': 'Radon',
+    'label.NOx Index': 'Indice NOx',
+    'recommendation.All Good': 'Tout va bien',
+    'recommendation.Consider Ventilating': 'Pensez à aérer',
+    'recommendation.Open Window': 'Ouvrir une fenêtre',
+    'recommendation.Run Air Purifier': 'Allumer le purificateur',
+    'recommendation.Air Purifier + Ventilate': 'Purificateur + aération',
+    'recommendation.Ventilate Now': 'Aérer maintenant',
+    'recommendation.Too Dry': 'Trop sec',
+    'recommendation.Too Humid': 'Trop humide',
+    'recommendation.Ventilate – VOC source': 'Aérer – source de COV',
+    'recommendation.Ventilate – Formaldehyde': 'Aérer – formaldéhyde',
+    'recommendation.Keep Windows Closed': 'Garder les fenêtres fermées',
+    'recommendation.Sensors Unavailable': 'Capteurs indisponibles',
+    'card.name': "Qualité de l'air",
+    'subtitle.Air quality is within healthy limits': "La qualité de l'air est dans les limites saines",
+    'subtitle.PM2.5 at {pm25} μg/m³ - filter the air': "PM2.5 à {pm25} μg/m³ - filtrez l'air",
+    'subtitle.CO₂ at {co2} ppm - fresh air needed': "CO₂ à {co2} ppm - besoin d'air frais",
+    'subtitle.CO₂: {co2} ppm, PM2.5: {pm25} μg/m³': 'CO₂ : {co2} ppm, PM2.5 : {pm25} μg/m³',
+    'subtitle.CO₂ at {co2} ppm - may affect focus': 'CO₂ à {co2} ppm - peut nuire à la concentration',
+    'subtitle.Humidity at {humidity}% - consider humidifier': 'Humidité à {humidity} % - envisagez un humidificateur',
+    'subtitle.Humidity at {humidity}% - ventilate': 'Humidité à {humidity} % - aérez',
+    'subtitle.CO₂ at {co2} ppm': 'CO₂ à {co2} ppm',
+    'subtitle.PM2.5 at {pm25} μg/m³': 'PM2.5 à {pm25} μg/m³',
+    'subtitle.tVOC at {tvoc} ppb - air out the room': 'tVOC à {tvoc} ppb - aérez la pièce',
+    'subtitle.HCHO at {hcho} ppb - air out the room': 'HCHO à {hcho} ppb - aérez la pièce',
+    'subtitle.No readings to assess the air': 'Aucune mesure pour évaluer l’air',
+    'subtitle.Outdoor PM2.5 at {outdoor_pm25} μg/m³ - use an air purifier instead': 'PM2.5 extérieur à {outdoor_pm25} μg/m³ - utilisez plutôt le purificateur',
+    'subtitle.Only {outdoor_temperature}° outside - air out briefly with the window wide open': 'Seulement {outdoor_temperature}° dehors - aérez brièvement, fenêtre grande ouverte',
+    'subtitle.{outdoor_temperature}° outside - air out briefly or in the cooler hours': '{outdoor_temperature}° dehors - aérez brièvement ou aux heures plus fraîches',
+    'subtitle.Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help': 'L’air extérieur est plus sec ({outdoor_absolute_humidity} contre {absolute_humidity} g/m³) - aérer aidera',
+    'subtitle.Outside air is more humid ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - use a dehumidifier': 'L’air extérieur est plus humide ({outdoor_absolute_humidity} contre {absolute_humidity} g/m³) - utilisez un déshumidificateur',
+    'subtitle.Outside air holds more moisture ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help': 'L’air extérieur est plus humide ({outdoor_absolute_humidity} contre {absolute_humidity} g/m³) - aérer aidera',
+    'subtitle.Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out would dry the room further': 'L’air extérieur est plus sec ({outdoor_absolute_humidity} contre {absolute_humidity} g/m³) - aérer assècherait encore la pièce',
+    'action.running': 'En marche',
+    'action.open': 'Ouvert',
+    'action.confirm': 'Êtes-vous sûr ?',
+    'action.failed': 'Échec de l’appel à {service} : {error}',
+    'rooms.all_rooms': 'Toutes les pièces',
+    'rooms.room': 'Pièce {number}',
+    'graph.expand': 'Agrandir',
+    'score.label': 'Score QAI',
+    'score.points': '−{points} pts',
+    'alerts.log': 'Alertes récentes',
+    'alerts.empty': 'Aucune alerte pour l’instant',
+    'alerts.cleared': '{metric} de nouveau {label}',
+    'alerts.dismiss': 'Masquer',
+    'template.hint': 'Ajoutez ceci à configuration.yaml, puis réglez recommendation_entity sur le nouveau capteur.',
+    'template.generate': 'Générer le YAML du capteur template',
+    'template.copy': 'Copier',
+    'state.unavailable': 'Indisponible',
+    'state.stale': 'Dernière mise à jour il y a {age}',
+    'assessment.partial': 'Évaluation partielle – indisponible : {metrics}',
+    'assessment.stale': 'Pas de données récentes : {metrics}',
+    'outdoor.value': 'Dehors {value}',
+    'outdoor.delta': '{delta} par rapport à l’intérieur',
+    'outdoor.absolute_humidity': 'absolue {outdoor} contre {indoor} g/m³ dedans',
+    'stats.min': 'Min',
+    'stats.max': 'Max',
+    'stats.mean': 'Moy.',
+    'stats.twa': 'Moy. pond.',
+    'trend.until': '~{eta} avant {value} {unit}',
+    'duration.minutes': '{minutes} min',
+    'duration.hours': '{hours} h {minutes} min',
+    'duration.days': '{days} j',
+    'expanded.no_overlay': 'Aucune superposition',
+    'expanded.overlay': 'Superposer {metric}',
+    'editor.section.advanced': 'Avancé',
+    'editor.section.interactions': 'Interactions',
+    'editor.section.outdoor': 'Air extérieur',
+    'editor.option.fahrenheit': 'Fahrenheit (°F)',
+    'editor.option.celsius': 'Celsius (°C)',
+    'editor.option.fixed': 'Fixe',
+    'editor.option.auto': 'Automatique',
+    'editor.name': 'Nom de la carte',
+    'editor.co2_entity': 'Capteur de CO₂',
+    'editor.pm25_entity': 'Capteur PM2.5',
+    'editor.humidity_entity': "Capteur d'humidité (facultatif)",
+    'editor.temperature_entity': 'Capteur de température (facultatif)',
+    'editor.outdoor_pm25_entity': 'Capteur PM2.5 extérieur (facultatif)',
+    'editor.outdoor_temperature_entity': 'Température extérieure (facultatif)',
+    'editor.outdoor_humidity_entity': 'Humidité extérieure (facultatif)',
+    'editor.air_quality_entity': "Indice de qualité de l'air (facultatif)",
+    'editor.hcho_entity': 'Capteur de formaldéhyde (HCHO ; CH2O) (facultatif)',
+    'editor.tvoc_entity': 'Capteur de composés organiques volatils (COVT) (facultatif)',
+    'editor.pm1_entity': 'Capteur PM1 (facultatif)',
+    'editor.pm10_entity': 'Capteur PM10 (facultatif)',
+    'editor.no2_entity': "Capteur de dioxyde d'azote (NO₂) (facultatif)",
+    'editor.nox_index_entity': "Capteur d'indice NOx (facultatif)",
+    'editor.o3_entity': "Capteur d'ozone (O₃) (facultatif)",
+    'editor.co_entity': 'Capteur de monoxyde de carbone (CO) (facultatif)',
+    'editor.radon_entity': 'Capteur de radon (facultatif)',
+    'editor.recommendation_entity': 'Capteur de recommandation (facultatif)',
+    'editor.hours_to_show': 'Historique du graphique',
+    'editor.statistics_after_hours': 'Utiliser les statistiques à long terme au-delà de',
+    'editor.stale_after': 'Avertir des données anciennes après',
+    'editor.temperature_unit': 'Unité de température',
+    'editor.standard': "Norme de qualité de l'air",
+    'editor.language': 'Langue',
+    'editor.metrics': 'Mesures supplémentaires',
+    'editor.recommendations': 'Règles de recommandation',
+    'editor.publish': 'Publier les résultats dans Home Assistant',
+    'editor.alerts': 'Alertes de seuil',
+    'editor.trend_minutes': 'Période de la tendance',
+    'editor.show_trend': 'Afficher la tendance',
+    'editor.show_time_to_threshold': "Afficher le temps jusqu'au prochain seuil",
+    'editor.show_stats': 'Afficher les statistiques',
+    'editor.show_threshold_lines': 'Afficher les lignes de seuil',
+    'editor.show_bands': 'Afficher les couleurs des plages en arrière-plan',
+    'editor.show_y_axis': "Afficher les valeurs de l'axe Y",
+    'editor.y_axis': "Plage de l'axe Y",
+    'editor.sync_cursor': 'Synchroniser le curseur entre les graphiques',
+    'editor.combined_tooltip': 'Info-bulle combinée',
+    'editor.show_score': 'Afficher le score QAI',
+    'editor.show_score_graph': 'Afficher le graphique du score QAI',
+    'editor.score_weights': 'Pondération du score QAI',
+    'editor.tap_action': 'Action au toucher des graphiques',
+    'editor.hold_action': 'Action à l’appui long des graphiques',
+    'editor.double_tap_action': 'Action au double toucher des graphiques',
+    'editor.header_tap_action': 'Action au toucher du titre',
+    'editor.badge_tap_action': 'Action au toucher du badge d’état'
+  },
+  es: {
+    'label.Excellent': 'Excelente',
+    'label.Good': 'Buena',
+    'label.Moderate': 'Moderada',
+    'label.Elevated': 'Elevada',
+    'label.Poor': 'Mala',
+    'label.Fair': 'Aceptable',
+    'label.Very Poor': 'Muy mala',
+    'label.Extremely Poor': 'Extremadamente mala',
+    'label.Unhealthy for Sensitive Groups': 'Dañina para grupos sensibles',
+    'label.Unhealthy': 'Dañina',
+    'label.Very Unhealthy': 'Muy dañina',
+    'label.Hazardous': 'Peligrosa',
+    'label.Very Low': 'Muy baja',
+    'label.Low': 'Baja',
+    'label.Medium': 'Media',
+    'label.High': 'Alta',
+    'label.Very High': 'Muy alta',
+    'label.Too Dry': 'Demasiado seco',
+    'label.Dry': 'Seco',
+    'label.Comfortable': 'Confortable',
+    'label.Humid': 'Húmedo',
+    'label.Too Humid': 'Demasiado húmedo',
+    'label.Cold': 'Frío',
+    'label.Cool': 'Fresco',
+    'label.Warm': 'Cálido',
+    'label.Hot': 'Caluroso',
+    'label.Humidity': 'Humedad',
+    'label.Temperature': 'Temperatura',
+    'label.Radon': 'Radón',
+    'label.NOx Index': 'Índice NOx',
+    'recommendation.All Good': 'Todo bien',
+    'recommendation.Consider Ventilating': 'Conviene ventilar',
+    'recommendation.Open Window': 'Abrir la ventana',
+    'recommendation.Run Air Purifier': 'Encender el purificador',
+    'recommendation.Air Purifier + Ventilate': 'Purificador + ventilar',
+    'recommendation.Ventilate Now': 'Ventilar ahora',
+    'recommendation.Too Dry': 'Demasiado seco',
+    'recommendation.Too Humid': 'Demasiado húmedo',
+    'recommendation.Ventilate – VOC source': 'Ventilar – fuente de COV',
+    'recommendation.Ventilate – Formaldehyde': 'Ventilar – formaldehído',
+    'recommendation.Keep Windows Closed': 'Mantener las ventanas cerradas',
+    'recommendation.Sensors Unavailable': 'Sensores no disponibles',
+    'card.name': 'Calidad del aire',
+    'subtitle.Air quality is within healthy limits': 'La calidad del aire está dentro de límites saludables',
+    'subtitle.PM2.5 at {pm25} μg/m³ - filter the air': 'PM2.5 en {pm25} μg/m³ - filtra el aire',
+    'subtitle.CO₂ at {co2} ppm - fresh air needed': 'CO₂ en {co2} ppm - hace falta aire fresco',
+    'subtitle.CO₂: {co2} ppm, PM2.5: {pm25} μg/m³': 'CO₂: {co2} ppm, PM2.5: {pm25} μg/m³',
+    'subtitle.CO₂ at {co2} ppm - may affect focus': 'CO₂ en {co2} ppm - puede afectar a la concentración',
+    'subtitle.Humidity at {humidity}% - consider humidifier': 'Humedad al {humidity} % - considera un humidificador',
+    'subtitle.Humidity at {humidity}% - ventilate': 'Humedad al {humidity} % - ventila',
+    'subtitle.CO₂ at {co2} ppm': 'CO₂ en {co2} ppm',
+    'subtitle.PM2.5 at {pm25} μg/m³': 'PM2.5 en {pm25} μg/m³',
+    'subtitle.tVOC at {tvoc} ppb - air out the room': 'tVOC en {tvoc} ppb - ventila la habitación',
+    'subtitle.HCHO at {hcho} ppb - air out the room': 'HCHO en {hcho} ppb - ventila la habitación',
+    'subtitle.No readings to assess the air': 'No hay mediciones para evaluar el aire',
+    'subtitle.Outdoor PM2.5 at {outdoor_pm25} μg/m³ - use an air purifier instead': 'PM2.5 exterior en {outdoor_pm25} μg/m³ - usa mejor el purificador',
+    'subtitle.Only {outdoor_temperature}° outside - air out briefly with the window wide open': 'Solo {outdoor_temperature}° fuera - ventila poco tiempo con la ventana abierta de par en par',
+    'subtitle.{outdoor_temperature}° outside - air out briefly or in the cooler hours': '{outdoor_temperature}° fuera - ventila poco tiempo o en las horas más frescas',
+    'subtitle.Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help': 'El aire exterior es más seco ({outdoor_absolute_humidity} frente a {absolute_humidity} g/m³) - ventilar ayudará',
+    'subtitle.Outside air is more humid ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - use a dehumidifier': 'El aire exterior es más húmedo ({outdoor_absolute_humidity} frente a {absolute_humidity} g/m³) - usa un deshumidificador',
+    'subtitle.Outside air holds more moisture ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help': 'El aire exterior es más húmedo ({outdoor_absolute_humidity} frente a {absolute_humidity} g/m³) - ventilar ayudará',
+    'subtitle.Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out would dry the room further': 'El aire exterior es más seco ({outdoor_absolute_humidity} frente a {absolute_humidity} g/m³) - ventilar secaría aún más la habitación',
+    'action.running': 'En marcha',
+    'action.open': 'Abierta',
+    'action.confirm': '¿Estás seguro?',
+    'action.failed': 'Error al llamar a {service}: {error}',
+    'rooms.all_rooms': 'Todas las habitaciones',
+    'rooms.room': 'Habitación {number}',
+    'graph.expand': 'Ampliar',
+    'score.label': 'Índice IAQ',
+    'score.points': '−{points} ptos',
+    'alerts.log': 'Alertas recientes',
+    'alerts.empty': 'Aún no hay alertas',
+    'alerts.cleared': '{metric} de nuevo {label}',
+    'alerts.dismiss': 'Descartar',
+    'template.hint': 'Añade esto a configuration.yaml y luego establece recommendation_entity en el nuevo sensor.',
+    'template.generate': 'Generar YAML del sensor de plantilla',
+    'template.copy': 'Copiar',
+    'state.unavailable': 'No disponible',
+    'state.stale': 'Última actualización hace {age}',
+    'assessment.partial': 'Evaluación parcial – no disponible: {metrics}',
+    'assessment.stale': 'Sin datos recientes: {metrics}',
+    'outdoor.value': 'Fuera {value}',
+    'outdoor.delta': '{delta} respecto al interior',
+    'outdoor.absolute_humidity': 'absoluta {outdoor} frente a {indoor} g/m³ dentro',
+    'stats.min': 'Mín',
+    'stats.max': 'Máx',
+    'stats.mean': 'Media',
+    'stats.twa': 'Media pond.',
+    'trend.until': '~{eta} hasta {value} {unit}',
+    'duration.minutes': '{minutes} min',
+    'duration.hours': '{hours} h {minutes} min',
+    'duration.days': '{days} d',
+    'expanded.no_overlay': 'Sin superposición',
+    'expanded.overlay': 'Superponer {metric}',
+    'editor.section.advanced': 'Avanzado',
+    'editor.section.interactions': 'Interacciones',
+    'editor.section.outdoor': 'Aire exterior',
+    'editor.option.fahrenheit': 'Fahrenheit (°F)',
+    'editor.option.celsius': 'Celsius (°C)',
+    'editor.option.fixed': 'Fijo',
+    'editor.option.auto': 'Automático',
+    'editor.name': 'Nombre de la tarjeta',
+    'editor.co2_entity': 'Sensor de CO₂',
+    'editor.pm25_entity': 'Sensor de PM2.5',
+    'editor.humidity_entity': 'Sensor de humedad (opcional)',
+    'editor.temperature_entity': 'Sensor de temperatura (opcional)',
+    'editor.outdoor_pm25_entity': 'Sensor de PM2.5 exterior (opcional)',
+    'editor.outdoor_temperature_entity': 'Temperatura exterior (opcional)',
+    'editor.outdoor_humidity_entity': 'Humedad exterior (opcional)',
+    'editor.air_quality_entity': 'Índice de calidad del aire (opcional)',
+    'editor.hcho_entity': 'Sensor de formaldehído (HCHO; CH2O) (opcional)',
+    'editor.tvoc_entity': 'Sensor de compuestos orgánicos volátiles (COVT) (opcional)',
+    'editor.pm1_entity': 'Sensor de PM1 (opcional)',
+    'editor.pm10_entity': 'Sensor de PM10 (opcional)',
+    'editor.no2_entity': 'Sensor de dióxido de nitrógeno (NO₂) (opcional)',
+    'editor.nox_index_entity': 'Sensor de índice NOx (opcional)',
+    'editor.o3_entity': 'Sensor de ozono (O₃) (opcional)',
+    'editor.co_entity': 'Sensor de monóxido de carbono (CO) (opcional)',
+    'editor.radon_entity': 'Sensor de radón (opcional)',
+    'editor.recommendation_entity': 'Sensor de recomendación (opcional)',
+    'editor.hours_to_show': 'Historial del gráfico',
+    'editor.statistics_after_hours': 'Usar estadísticas a largo plazo a partir de',
+    'editor.stale_after': 'Avisar de datos antiguos tras',
+    'editor.temperature_unit': 'Unidad de temperatura',
+    'editor.standard': 'Estándar de calidad del aire',
+    'editor.language': 'Idioma',
+    'editor.metrics': 'Mediciones adicionales',
+    'editor.recommendations': 'Reglas de recomendación',
+    'editor.publish': 'Publicar resultados en Home Assistant',
+    'editor.alerts': 'Alertas de umbral',
+    'editor.trend_minutes': 'Periodo de la tendencia',
+    'editor.show_trend': 'Mostrar tendencia',
+    'editor.show_time_to_threshold': 'Mostrar tiempo hasta el siguiente umbral',
+    'editor.show_stats': 'Mostrar estadísticas',
+    'editor.show_threshold_lines': 'Mostrar líneas de umbral',
+    'editor.show_bands': 'Mostrar colores de los rangos de fondo',
+    'editor.show_y_axis': 'Mostrar etiquetas del eje Y',
+    'editor.y_axis': 'Rango del eje Y',
+    'editor.sync_cursor': 'Sincronizar el cursor entre gráficos',
+    'editor.combined_tooltip': 'Información combinada',
+    'editor.show_score': 'Mostrar índice IAQ',
+    'editor.show_score_graph': 'Mostrar gráfico del índice IAQ',
+    'editor.score_weights': 'Pesos del índice IAQ',
+    'editor.tap_action': 'Acción al tocar los gráficos',
+    'editor.hold_action': 'Acción al mantener pulsados los gráficos',
+    'editor.double_tap_action': 'Acción al tocar dos veces los gráficos',
+    'editor.header_tap_action': 'Acción al tocar el título',
+    'editor.badge_tap_action': 'Acción al tocar la insignia de estado'
+  },
+  sv: {
+    'label.Excellent': 'Utmärkt',
+    'label.Good': 'Bra',
+    'label.Moderate': 'Måttlig',
+    'label.Elevated': 'Förhöjd',
+    'label.Poor': 'Dålig',
+    'label.Fair': 'Godtagbar',
+    'label.Very Poor': 'Mycket dålig',
+    'label.Extremely Poor': 'Extremt dålig',
+    'label.Unhealthy for Sensitive Groups': 'Ohälsosam för känsliga grupper',
+    'label.Unhealthy': 'Ohälsosam',
+    'label.Very Unhealthy': 'Mycket ohälsosam',
+    'label.Hazardous': 'Farlig',
+    'label.Very Low': 'Mycket låg',
+    'label.Low': 'Låg',
+    'label.Medium': 'Medel',
+    'label.High': 'Hög',
+    'label.Very High': 'Mycket hög',
+    'label.Too Dry': 'För torrt',
+    'label.Dry': 'Torrt',
+    'label.Comfortable': 'Behagligt',
+    'label.Humid': 'Fuktigt',
+    'label.Too Humid': 'För fuktigt',
+    'label.Cold': 'Kallt',
+    'label.Cool': 'Svalt',
+    'label.Warm': 'Varmt',
+    'label.Hot': 'Hett',
+    'label.Humidity': 'Luftfuktighet',
+    'label.Temperature': 'Temperatur',
+    'label.Radon': 'Radon',
+    'label.NOx Index': 'NOx-index',
+    'recommendation.All Good': 'Allt bra',
+    'recommendation.Consider Ventilating': 'Överväg att vädra',
+    'recommendation.Open Window': 'Öppna fönstret',
+    'recommendation.Run Air Purifier': 'Starta luftrenaren',
+    'recommendation.Air Purifier + Ventilate': 'Luftrenare + vädra',
+    'recommendation.Ventilate Now': 'Vädra nu',
+    'recommendation.Too Dry': 'För torrt',
+    'recommendation.Too Humid': 'För fuktigt',
+    'recommendation.Ventilate – VOC source': 'Vädra – VOC-källa',
+    'recommendation.Ventilate – Formaldehyde': 'Vädra – formaldehyd',
+    'recommendation.Keep Windows Closed': 'Håll fönstren stängda',
+    'recommendation.Sensors Unavailable': 'Sensorer otillgängliga',
+    'card.name': 'Luftkvalitet',
+    'subtitle.Air quality is within healthy limits': 'Luftkvaliteten ligger inom hälsosamma gränser',
+    'subtitle.PM2.5 at {pm25} μg/m³ - filter the air': 'PM2.5 på {pm25} μg/m³ - rena luften',
+    'subtitle.CO₂ at {co2} ppm - fresh air needed': 'CO₂ på {co2} ppm - frisk luft behövs',
+    'subtitle.CO₂: {co2} ppm, PM2.5: {pm25} μg/m³': 'CO₂: {co2} ppm, PM2.5: {pm25} μg/m³',
+    'subtitle.CO₂ at {co2} ppm - may affect focus': 'CO₂ på {co2} ppm - kan påverka koncentrationen',
+    'subtitle.Humidity at {humidity}% - consider humidifier': 'Luftfuktighet på {humidity} % - överväg en luftfuktare',
+    'subtitle.Humidity at {humidity}% - ventilate': 'Luftfuktighet på {humidity} % - vädra',
+    'subtitle.CO₂ at {co2} ppm': 'CO₂ på {co2} ppm',
+    'subtitle.PM2.5 at {pm25} μg/m³': 'PM2.5 på {pm25} μg/m³',
+    'subtitle.tVOC at {tvoc} ppb - air out the room': 'tVOC på {tvoc} ppb - vädra rummet',
+    'subtitle.HCHO at {hcho} ppb - air out the room': 'HCHO på {hcho} ppb - vädra rummet',
+    'subtitle.No readings to assess the air': 'Inga mätvärden att bedöma luften med',
+    'subtitle.Outdoor PM2.5 at {outdoor_pm25} μg/m³ - use an air purifier instead': 'PM2.5 ute på {outdoor_pm25} μg/m³ - använd luftrenaren i stället',
+    'subtitle.Only {outdoor_temperature}° outside - air out briefly with the window wide open': 'Bara {outdoor_temperature}° ute - vädra kort med fönstret vidöppet',
+    'subtitle.{outdoor_temperature}° outside - air out briefly or in the cooler hours': '{outdoor_temperature}° ute - vädra kort eller under svalare timmar',
+    'subtitle.Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help': 'Uteluften är torrare ({outdoor_absolute_humidity} mot {absolute_humidity} g/m³) - vädring hjälper',
+    'subtitle.Outside air is more humid ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - use a dehumidifier': 'Uteluften är fuktigare ({outdoor_absolute_humidity} mot {absolute_humidity} g/m³) - använd en avfuktare',
+    'subtitle.Outside air holds more moisture ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help': 'Uteluften är fuktigare ({outdoor_absolute_humidity} mot {absolute_humidity} g/m³) - vädring hjälper',
+    'subtitle.Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out would dry the room further': 'Uteluften är torrare ({outdoor_absolute_humidity} mot {absolute_humidity} g/m³) - vädring skulle torka ut rummet ytterligare',
+    'action.running': 'Igång',
+    'action.open': 'Öppen',
+    'action.confirm': 'Är du säker?',
+    'action.failed': 'Kunde inte anropa {service}: {error}',
+    'rooms.all_rooms': 'Alla rum',
+    'rooms.room': 'Rum {number}',
+    'graph.expand': 'Förstora',
+    'score.label': 'IAQ-poäng',
+    'score.points': '−{points} p',
+    'alerts.log': 'Senaste larm',
+    'alerts.empty': 'Inga larm än',
+    'alerts.cleared': '{metric} åter {label}',
+    'alerts.dismiss': 'Stäng',
+    'template.hint': 'Lägg till detta i configuration.yaml och sätt sedan recommendation_entity till den nya sensorn.',
+    'template.generate': 'Skapa YAML för mallsensor',
+    'template.copy': 'Kopiera',
+    'state.unavailable': 'Otillgänglig',
+    'state.stale': 'Senast uppdaterad för {age} sedan',
+    'assessment.partial': 'Partiell bedömning – ej tillgänglig: {metrics}',
+    'assessment.stale': 'Inga aktuella data: {metrics}',
+    'outdoor.value': 'Ute {value}',
+    'outdoor.delta': '{delta} jämfört med inne',
+    'outdoor.absolute_humidity': 'absolut {outdoor} mot {indoor} g/m³ inne',
+    'stats.min': 'Min',
+    'stats.max': 'Max',
+    'stats.mean': 'Medel',
+    'stats.twa': 'Tidsvägt',
+    'trend.until': '~{eta} till {value} {unit}',
+    'duration.minutes': '{minutes} min',
+    'duration.hours': '{hours} h {minutes} min',
+    'duration.days': '{days} d',
+    'expanded.no_overlay': 'Ingen överlagring',
+    'expanded.overlay': 'Överlagra {metric}',
+    'editor.section.advanced': 'Avancerat',
+    'editor.section.interactions': 'Interaktioner',
+    'editor.section.outdoor': 'Uteluft',
+    'editor.option.fahrenheit': 'Fahrenheit (°F)',
+    'editor.option.celsius': 'Celsius (°C)',
+    'editor.option.fixed': 'Fast',
+    'editor.option.auto': 'Automatisk',
+    'editor.name': 'Kortnamn',
+    'editor.co2_entity': 'CO₂-sensor',
+    'editor.pm25_entity': 'PM2.5-sensor',
+    'editor.humidity_entity': 'Luftfuktighetssensor (valfri)',
+    'editor.temperature_entity': 'Temperatursensor (valfri)',
+    'editor.outdoor_pm25_entity': 'PM2.5-sensor ute (valfri)',
+    'editor.outdoor_temperature_entity': 'Utomhustemperatur (valfri)',
+    'editor.outdoor_humidity_entity': 'Luftfuktighet ute (valfri)',
+    'editor.air_quality_entity': 'Luftkvalitetsindex (valfritt)',
+    'editor.hcho_entity': 'Formaldehydsensor (HCHO; CH2O) (valfri)',
+    'editor.tvoc_entity': 'Sensor för flyktiga organiska ämnen (TVOC) (valfri)',
+    'editor.pm1_entity': 'PM1-sensor (valfri)',
+    'editor.pm10_entity': 'PM10-sensor (valfri)',
+    'editor.no2_entity': 'Kvävedioxidsensor (NO₂) (valfri)',
+    'editor.nox_index_entity': 'NOx-indexsensor (valfri)',
+    'editor.o3_entity': 'Ozonsensor (O₃) (valfri)',
+    'editor.co_entity': 'Kolmonoxidsensor (CO) (valfri)',
+    'editor.radon_entity': 'Radonsensor (valfri)',
+    'editor.recommendation_entity': 'Rekommendationssensor (valfri)',
+    'editor.hours_to_show': 'Grafhistorik',
+    'editor.statistics_after_hours': 'Använd långtidsstatistik efter',
+    'editor.stale_after': 'Varna för gamla data efter',
+    'editor.temperature_unit': 'Temperaturenhet',
+    'editor.standard': 'Luftkvalitetsstandard',
+    'editor.language': 'Språk',
+    'editor.metrics': 'Ytterligare mätvärden',
+    'editor.recommendations': 'Rekommendationsregler',
+    'editor.publish': 'Publicera resultat i Home Assistant',
+    'editor.alerts': 'Gränsvärdeslarm',
+    'editor.trend_minutes': 'Period för trend',
+    'editor.show_trend': 'Visa trend',
+    'editor.show_time_to_threshold': 'Visa tid till nästa gränsvärde',
+    'editor.show_stats': 'Visa statistik',
+    'editor.show_threshold_lines': 'Visa gränsvärdeslinjer',
+    'editor.show_bands': 'Visa intervallfärger i bakgrunden',
+    'editor.show_y_axis': 'Visa etiketter på Y-axeln',
+    'editor.y_axis': 'Y-axelns intervall',
+    'editor.sync_cursor': 'Synkronisera markören mellan graferna',
+    'editor.combined_tooltip': 'Kombinerad inforuta',
+    'editor.show_score': 'Visa IAQ-poäng',
+    'editor.show_score_graph': 'Visa graf för IAQ-poäng',
+    'editor.score_weights': 'Vikter för IAQ-poäng',
+    'editor.tap_action': 'Tryckåtgärd för grafer',
+    'editor.hold_action': 'Hållåtgärd för grafer',
+    'editor.double_tap_action': 'Dubbeltrycksåtgärd för grafer',
+    'editor.header_tap_action': 'Tryckåtgärd för rubriken',
+    'editor.badge_tap_action': 'Tryckåtgärd för statusmärket'
+  }
+};
+
+// Look up a UI string, e.g. localize('de', 'rooms.room', { number: 2 })
+function localize(language, key, vars = {}, fallback = key) {
+  const lang = String(language || 'en').toLowerCase();
+  const strings = TRANSLATIONS[lang] || TRANSLATIONS[lang.split('-')[0]] || TRANSLATIONS.en;
+  const text = strings[key] ?? TRANSLATIONS.en[key] ?? fallback;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match));
+}
+
+// Resolves once `text` is on the clipboard
+function copyToClipboard(text) {
+  if (navigator.clipboard?.writeText) return navigator.clipboard.writeText(text);
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  document.body.appendChild(textarea);
+  textarea.select();
+  document.execCommand('copy');
+  textarea.remove();
+  return Promise.resolve();
+}
+
+// The editors have no config-level language, so they follow the frontend
+function getFrontendLanguage(hass = document.querySelector('home-assistant')?.hass) {
+  return hass?.locale?.language || hass?.language || navigator.language || 'en';
+}
+
 class AirQualityCard extends HTMLElement {
-  // Visual editor using getConfigForm (preferred modern approach)
+  // Form schema of the visual editor, which adds the template generator below it
   static getConfigForm() {
     return {
       schema: [
@@ -28,6 +1306,28 @@ class AirQualityCard extends HTMLElement {
             { name: 'tvoc_entity', selector: { entity: { domain: 'sensor' } } },
           ]
         },
+        {
+          type: 'grid',
+          schema: [
+            { name: 'pm1_entity', selector: { entity: { domain: 'sensor' } } },
+            { name: 'pm10_entity', selector: { entity: { domain: 'sensor' } } },
+          ]
+        },
+        {
+          type: 'grid',
+          schema: [
+            { name: 'no2_entity', selector: { entity: { domain: 'sensor' } } },
+            { name: 'nox_index_entity', selector: { entity: { domain: 'sensor' } } },
+          ]
+        },
+        {
+          type: 'grid',
+          schema: [
+            { name: 'o3_entity', selector: { entity: { domain: 'sensor' } } },
+            { name: 'co_entity', selector: { entity: { domain: 'sensor' } } },
+          ]
+        },
+        { name: 'radon_entity', selector: { entity: { domain: 'sensor' } } },
         {
           type: 'grid',
           schema: [
@@ -37,39 +1337,74 @@ class AirQualityCard extends HTMLElement {
         },
         {
           type: 'expandable',
-          title: 'Advanced',
+          title: localize(getFrontendLanguage(), 'editor.section.outdoor'),
+          schema: [
+            { name: 'outdoor_pm25_entity', selector: { entity: { domain: 'sensor' } } },
+            { name: 'outdoor_temperature_entity', selector: { entity: { domain: ['sensor', 'weather'] } } },
+            { name: 'outdoor_humidity_entity', selector: { entity: { domain: ['sensor', 'weather'] } } },
+          ]
+        },
+        {
+          type: 'expandable',
+          title: localize(getFrontendLanguage(), 'editor.section.advanced'),
           schema: [
             { name: 'air_quality_entity', selector: { entity: { domain: 'sensor' } } },
             { name: 'recommendation_entity', selector: { entity: { domain: 'sensor' } } },
-            { name: 'hours_to_show', selector: { number: { min: 1, max: 168, mode: 'box', unit_of_measurement: 'hours' } } },
-            { name: 'temperature_unit', selector: { select: { options: [{ value: 'F', label: 'Fahrenheit (°F)' }, { value: 'C', label: 'Celsius (°C)' }], mode: 'dropdown' } } },
+            { name: 'hours_to_show', selector: { number: { min: 1, max: 8760, mode: 'box', unit_of_measurement: 'hours' } } },
+            { name: 'statistics_after_hours', selector: { number: { min: 1, max: 8760, mode: 'box', unit_of_measurement: 'hours' } } },
+            { name: 'stale_after', selector: { number: { min: 0, max: 10080, mode: 'box', unit_of_measurement: 'min' } } },
+            { name: 'temperature_unit', selector: { select: { options: [{ value: 'F', label: localize(getFrontendLanguage(), 'editor.option.fahrenheit') }, { value: 'C', label: localize(getFrontendLanguage(), 'editor.option.celsius') }], mode: 'dropdown' } } },
+            { name: 'standard', selector: { select: { options: Object.entries(STANDARDS).map(([value, std]) => ({ value, label: std.name })), mode: 'dropdown' } } },
+            { name: 'language', selector: { select: { options: Object.entries(LANGUAGE_NAMES).map(([value, label]) => ({ value, label })), mode: 'dropdown' } } },
+            { name: 'metrics', selector: { object: {} } },
+            { name: 'recommendations', selector: { object: {} } },
+            { name: 'publish', selector: { object: {} } },
+            { name: 'alerts', selector: { object: {} } },
+            { name: 'trend_minutes', selector: { number: { min: 5, max: 720, mode: 'box', unit_of_measurement: 'min' } } },
+            { name: 'show_trend', selector: { boolean: {} } },
+            { name: 'show_time_to_threshold', selector: { boolean: {} } },
+            { name: 'show_stats', selector: { boolean: {} } },
+            { name: 'show_threshold_lines', selector: { boolean: {} } },
+            { name: 'show_bands', selector: { boolean: {} } },
+            { name: 'show_y_axis', selector: { boolean: {} } },
+            { name: 'sync_cursor', selector: { boolean: {} } },
+            { name: 'combined_tooltip', selector: { boolean: {} } },
+            { name: 'show_score', selector: { boolean: {} } },
+            { name: 'show_score_graph', selector: { boolean: {} } },
+            { name: 'score_weights', selector: { object: {} } },
+            { name: 'y_axis', selector: { select: { options: [{ value: 'fixed', label: localize(getFrontendLanguage(), 'editor.option.fixed') }, { value: 'auto', label: localize(getFrontendLanguage(), 'editor.option.auto') }], mode: 'dropdown' } } },
+          ]
+        },
+        {
+          type: 'expandable',
+          title: localize(getFrontendLanguage(), 'editor.section.interactions'),
+          schema: [
+            { name: 'tap_action', selector: { ui_action: {} } },
+            { name: 'hold_action', selector: { ui_action: {} } },
+            { name: 'double_tap_action', selector: { ui_action: {} } },
+            { name: 'header_tap_action', selector: { ui_action: {} } },
+            { name: 'badge_tap_action', selector: { ui_action: {} } },
           ]
         }
       ],
-      computeLabel: (schema) => {
-        const labels = {
-          name: 'Card Name',
-          co2_entity: 'CO₂ Sensor',
-          pm25_entity: 'PM2.5 Sensor',
-          humidity_entity: 'Humidity Sensor (optional)',
-          temperature_entity: 'Temperature Sensor (optional)',
-          air_quality_entity: 'Air Quality Index (optional)',
-          hcho_entity: 'Formaldehyde (HCHO; CH2O) Sensor (optional)',
-          tvoc_entity: 'Volatile Organic Compounds (tVOC) Sensor (optional)',
-          recommendation_entity: 'Recommendation Sensor (optional)',
-          hours_to_show: 'Graph History',
-          temperature_unit: 'Temperature Unit'
-        };
-        return labels[schema.name] || schema.name;
-      }
+      computeLabel: (schema) => localize(getFrontendLanguage(), `editor.${schema.name}`, {}, schema.name)
     };
   }
 
-  // Fallback for older HA versions - use getConfigElement
+  // Home Assistant prefers this over getConfigForm()
   static getConfigElement() {
     return document.createElement('air-quality-card-editor');
   }
 
+  // Template sensor YAML that gives the same recommendation as a card with
+  // `config`, for the editors
+  static getRecommendationTemplate(config, hass) {
+    const card = document.createElement('air-quality-card');
+    card.setConfig(config);
+    card._hass = hass;
+    return card._buildRecommendationTemplate();
+  }
+
   static getStubConfig() {
     return {
       name: 'Air Quality',
@@ -83,49 +1418,341 @@ class AirQualityCard extends HTMLElement {
     this._config = {};
     this._hass = null;
     this._rendered = false;
-    this._history = { co2: [], pm25: [], hcho: [], tvoc: [], humidity: [], temperature: [] };
+    this._rooms = [];
+    this._metrics = [];
+    this._multiRoom = false;
+    this._expandedRooms = new Set();
+    this._recAction = null;
+    this._numberFormats = new Map();
+    this._published = null;
+    this._publishTimer = null;
+    this._publishUnsubscribe = null;
+    this._lastPublishEvent = null;
+    this._alertStates = new Map();
+    this._alertLog = [];
+    this._alertsDismissed = false;
+    this._audioContext = null;
+    this._history = {};
+    this._live = {};
+    this._unitWarnings = new Set();
     this._historyLoaded = false;
     this._graphData = {};
     this._isDragging = false;
+    this._lastGraphRender = 0;
+    this._graphRenderTimer = null;
+    this._expanded = null;
+    this._expandedFetchTimer = null;
+    this._onExpandedKeyDown = (e) => {
+      if (e.key === 'Escape') this._closeExpanded();
+    };
+  }
+
+  disconnectedCallback() {
+    clearTimeout(this._graphRenderTimer);
+    this._graphRenderTimer = null;
+    clearTimeout(this._publishTimer);
+    this._publishTimer = null;
+    this._published = null;
+    this._publishUnsubscribe?.then(unsubscribe => unsubscribe()).catch(() => {});
+    this._publishUnsubscribe = null;
+    this._audioContext?.close().catch(() => {});
+    this._audioContext = null;
+    this._closeExpanded();
   }
 
   setConfig(config) {
     if (!config) throw new Error('Invalid configuration');
 
-    // Validate required entities
-    if (!config.co2_entity && !config.pm25_entity) {
-      throw new Error('Please configure at least a CO₂ or PM2.5 sensor entity');
+    if (config.metrics !== undefined && !Array.isArray(config.metrics)) {
+      throw new Error('metrics must be a list');
+    }
+    if (config.rooms !== undefined && (!Array.isArray(config.rooms) || !config.rooms.length)) {
+      throw new Error('rooms must be a non-empty list');
+    }
+    if (config.overlay_metric && !METRICS.some(def => def.key === config.overlay_metric)) {
+      throw new Error(`Unknown overlay_metric "${config.overlay_metric}". Use one of: ${METRICS.map(m => m.key).join(', ')}`);
+    }
+    [config, ...(config.rooms || [])].forEach(scope => {
+      this._validateRecommendations(scope?.recommendations);
+      this._validateRecommendationActions(scope?.recommendation_actions);
+    });
+    this._validatePublish(config.publish);
+    this._validateAlerts(config.alerts);
+    const yAxisModes = typeof config.y_axis === 'object' && config.y_axis ? Object.values(config.y_axis) : [config.y_axis];
+    (config.metrics || []).forEach(entry => yAxisModes.push(entry?.y_axis));
+    if (yAxisModes.some(mode => mode !== undefined && !Y_AXIS_MODES.includes(mode))) {
+      throw new Error(`y_axis must be one of: ${Y_AXIS_MODES.join(', ')}`);
+    }
+    if (config.language && !TRANSLATIONS[String(config.language).toLowerCase().split('-')[0]]) {
+      throw new Error(`Unknown language "${config.language}". Use one of: ${Object.keys(TRANSLATIONS).join(', ')}`);
+    }
+    if (config.stale_after !== undefined && !(typeof config.stale_after === 'number' && config.stale_after >= 0)) {
+      throw new Error('stale_after must be a number of minutes (0 turns the warning off)');
+    }
+    if (config.score_weights !== undefined) {
+      if (typeof config.score_weights !== 'object' || !config.score_weights || Array.isArray(config.score_weights)) {
+        throw new Error('score_weights must be a mapping of metric to weight');
+      }
+      Object.entries(config.score_weights).forEach(([key, weight]) => {
+        if (typeof weight !== 'number' || weight < 0) throw new Error(`score_weights.${key} must be a number of 0 or more`);
+      });
+    }
+    if (config.standard && !STANDARDS[config.standard]) {
+      throw new Error(`Unknown standard "${config.standard}". Use one of: ${Object.keys(STANDARDS).join(', ')}`);
     }
 
     this._config = {
-      name: 'Air Quality',
       hours_to_show: 24,
-      temperature_unit: 'F',
-      ...config
+      statistics_after_hours: 168,
+      trend_minutes: 30,
+      stale_after: 60,
+      show_trend: true,
+      show_time_to_threshold: false,
+      show_stats: false,
+      show_threshold_lines: false,
+      show_bands: false,
+      show_y_axis: false,
+      sync_cursor: false,
+      combined_tooltip: false,
+      show_score: false,
+      show_score_graph: false,
+      standard: 'who',
+      ...config,
+      thresholds: this._normalizeThresholds(config.thresholds)
     };
+    // Without `rooms:` the card is a single room built from the top-level options
+    this._multiRoom = Array.isArray(config.rooms);
+    this._rooms = this._multiRoom
+      ? config.rooms.map((room, i) => ({
+        name: room?.name || null,
+        index: i,
+        config: room || {},
+        metrics: this._buildMetrics(room || {}, `room${i}`),
+        outdoor: this._buildOutdoorMetrics(room || {}, `room${i}`)
+      }))
+      : [{ name: this._config.name, index: 0, config: this._config, metrics: this._buildMetrics(config), outdoor: this._buildOutdoorMetrics(config) }];
+    this._metrics = this._rooms.flatMap(room => room.metrics);
+    this._rooms.forEach(room => {
+      room.score = this._config.show_score_graph ? this._buildScoreMetric(this._multiRoom ? `room${room.index}` : null) : null;
+    });
+    this._expandedRooms = new Set();
+
+    // Validate required entities
+    if (this._rooms.some(room => !room.metrics.length)) {
+      throw new Error('Please configure at least one sensor entity, e.g. a CO₂ or PM2.5 sensor');
+    }
     this._rendered = false;
     this._historyLoaded = false;
+    clearTimeout(this._graphRenderTimer);
+    this._graphRenderTimer = null;
+    clearTimeout(this._publishTimer);
+    this._publishTimer = null;
+    this._published = null;
+    this._publishUnsubscribe?.then(unsubscribe => unsubscribe()).catch(() => {});
+    this._publishUnsubscribe = null;
+    this._lastPublishEvent = null;
+    this._alertStates = new Map();
+    this._alertsDismissed = false;
+  }
+
+  _validateRecommendations(rules) {
+    if (rules === undefined) return;
+    if (!Array.isArray(rules)) throw new Error('recommendations must be a list of rules');
+    rules.forEach((rule, i) => {
+      if (!rule?.title) throw new Error(`recommendations[${i}] needs a title`);
+      if (rule.severity !== undefined && ![0, 1, 2].includes(rule.severity)) {
+        throw new Error(`recommendations[${i}].severity must be 0, 1 or 2`);
+      }
+      ['all', 'any'].forEach(group => {
+        if (rule[group] === undefined) return;
+        if (!Array.isArray(rule[group])) throw new Error(`recommendations[${i}].${group} must be a list of conditions`);
+        rule[group].forEach((condition, j) => {
+          const where = `recommendations[${i}].${group}[${j}]`;
+          if (!condition?.metric) throw new Error(`${where} needs a metric`);
+          if (condition.level === undefined && condition.above === undefined && condition.below === undefined) {
+            throw new Error(`${where} needs a level, above or below`);
+          }
+          if (condition.side && !RECOMMENDATION_SIDES.includes(condition.side)) {
+            throw new Error(`${where}.side must be one of: ${RECOMMENDATION_SIDES.join(', ')}`);
+          }
+          // Only the indoor metrics have history to check a duration against
+          if (condition.for !== undefined && OUTDOOR_METRICS.some(key => condition.metric === `outdoor_${key}`)) {
+            throw new Error(`${where}.for is not supported for ${condition.metric}`);
+          }
+        });
+      });
+    });
+  }
+
+  _validatePublish(publish) {
+    if (publish === undefined) return;
+    if (typeof publish !== 'object' || !publish || Array.isArray(publish)) {
+      throw new Error('publish must be a mapping of helper entities and/or an event');
+    }
+    PUBLISH_HELPERS.forEach(({ option, domain }) => {
+      if (publish[option] !== undefined && !String(publish[option]).startsWith(`${domain}.`)) {
+        throw new Error(`publish.${option} must be an ${domain} entity`);
+      }
+    });
+    if (publish.event !== undefined && typeof publish.event !== 'boolean' && !/^\w+$/.test(String(publish.event))) {
+      throw new Error('publish.event must be true or an event type like air_quality_card');
+    }
+  }
+
+  _validateAlerts(alerts) {
+    if (alerts === undefined || typeof alerts === 'boolean') return;
+    if (typeof alerts !== 'object' || !alerts || Array.isArray(alerts)) throw new Error('alerts must be true or a mapping of alert options');
+    if (alerts.level !== undefined && ![1, 2, 3, 4].includes(alerts.level)) throw new Error('alerts.level must be a band level from 1 to 4');
+    ['hysteresis', 'min_duration', 'log_size'].forEach(option => {
+      if (alerts[option] !== undefined && !(typeof alerts[option] === 'number' && alerts[option] >= 0)) {
+        throw new Error(`alerts.${option} must be a number of 0 or more`);
+      }
+    });
+    if (alerts.metrics !== undefined && !Array.isArray(alerts.metrics)) throw new Error('alerts.metrics must be a list of metric keys');
+  }
+
+  _validateRecommendationActions(actions) {
+    if (actions === undefined) return;
+    if (!actions || typeof actions !== 'object' || Array.isArray(actions)) {
+      throw new Error('recommendation_actions must map recommendations to actions');
+    }
+    Object.entries(actions).forEach(([rec, action]) => {
+      const service = action?.action || action?.service;
+      if (typeof service !== 'string' || !/^\w+\.\w+$/.test(service)) {
+        throw new Error(`recommendation_actions "${rec}" needs an action like fan.turn_on`);
+      }
+    });
+  }
+
+  // Built-in metrics from the `<key>_entity` options, followed by the
+  // entries of the `metrics:` list. `id` is unique across the whole card
+  // (rooms prefix it) and names the metric's elements and history.
+  _buildMetrics(config, idPrefix = null) {
+    const withId = metric => ({ ...metric, id: idPrefix ? `${idPrefix}-${metric.key}` : metric.key });
+    const metrics = METRICS
+      .filter(def => config[`${def.key}_entity`])
+      .map(def => withId({ ...def, type: def.key, entity: config[`${def.key}_entity`] }));
+    const usedKeys = new Set(metrics.map(m => m.key));
+
+    (config.metrics || []).forEach((entry, i) => {
+      if (!entry?.entity) throw new Error(`metrics[${i}] needs an entity`);
+      const def = entry.type ? METRICS.find(m => m.key === entry.type) : null;
+      if (entry.type && !def) {
+        throw new Error(`metrics[${i}] has unknown type "${entry.type}". Use one of: ${METRICS.map(m => m.key).join(', ')}`);
+      }
+
+      // Keys double as element ids, so keep them unique and id-safe
+      const baseKey = String(entry.key || (def && !usedKeys.has(def.key) ? def.key : entry.entity.split('.').pop()))
+        .toLowerCase().replace(/[^a-z0-9_]/g, '_');
+      let key = baseKey;
+      for (let n = 2; usedKeys.has(key); n++) key = `${baseKey}_${n}`;
+      usedKeys.add(key);
+
+      const metric = {
+        ...(def || { decimals: 1 }),
+        type: def?.key ?? null,
+        key,
+        entity: entry.entity,
+        label: entry.label ?? entry.name ?? def?.label ?? null
+      };
+      ['unit', 'decimals', 'min', 'max', 'y_axis', ...ACTION_GESTURES].forEach(option => {
+        if (entry[option] !== undefined) metric[option] = entry[option];
+      });
+      if (entry.thresholds) {
+        metric.thresholds = this._normalizeThresholds({ [key]: entry.thresholds }, { [key]: def?.key })[key];
+      }
+      metrics.push(withId(metric));
+    });
+
+    return metrics;
+  }
+
+  // The IAQ score graphs like a metric without an entity. The id has a dash,
+  // which metric keys never do, so it cannot clash with one.
+  _buildScoreMetric(idPrefix = null) {
+    return {
+      id: idPrefix ? `${idPrefix}-iaq-score` : 'iaq-score',
+      key: 'score',
+      type: null,
+      entity: null,
+      unit: '',
+      decimals: 0,
+      min: 0,
+      max: 100,
+      thresholds: SCORE_THRESHOLDS
+    };
+  }
+
+  // Outdoor counterparts from the `outdoor_<key>_entity` options, which rooms
+  // inherit from the card. They are graded like the indoor metric of that type.
+  _buildOutdoorMetrics(config, idPrefix = null) {
+    return OUTDOOR_METRICS
+      .map(type => {
+        const entity = config[`outdoor_${type}_entity`] || this._config[`outdoor_${type}_entity`];
+        if (!entity) return null;
+        const key = `outdoor_${type}`;
+        return {
+          ...METRICS.find(def => def.key === type),
+          type,
+          key,
+          entity,
+          // Weather entities carry temperature and humidity as attributes
+          attribute: entity.startsWith('weather.') ? type : null,
+          id: idPrefix ? `${idPrefix}-${key}` : key,
+          thresholds: this._config.thresholds?.[type]
+        };
+      })
+      .filter(Boolean);
+  }
+
+  // Validate the user's threshold bands and fill in each band's severity level
+  // `types` maps custom metric keys to the built-in metric they are based on
+  _normalizeThresholds(thresholds, types = {}) {
+    if (!thresholds) return {};
+    if (typeof thresholds !== 'object') throw new Error('thresholds must be a mapping of metric to bands');
+
+    const normalized = {};
+    Object.entries(thresholds).forEach(([metric, bands]) => {
+      if (!Array.isArray(bands) || !bands.length) {
+        throw new Error(`thresholds.${metric} must be a non-empty list of bands`);
+      }
+      if (TWO_SIDED_METRICS.includes(types[metric] ?? metric) && bands.length > 1 && bands.some(band => band?.level === undefined)) {
+        throw new Error(`thresholds.${metric} runs from too low to too high, so every band needs a level`);
+      }
+      normalized[metric] = bands.map((band, i) => {
+        if (!band || !band.color) throw new Error(`thresholds.${metric}[${i}] needs a color`);
+        const isLast = i === bands.length - 1;
+        if (!isLast && typeof band.max !== 'number') throw new Error(`thresholds.${metric}[${i}] needs a numeric max`);
+        if (i > 0 && !isLast && band.max <= bands[i - 1].max) {
+          throw new Error(`thresholds.${metric} must be ordered by ascending max`);
+        }
+        const level = band.level ?? (bands.length > 1 ? Math.round((i * 4) / (bands.length - 1)) : 0);
+        return { ...band, label: band.label ?? '', level };
+      });
+    });
+    return normalized;
   }
 
   set hass(hass) {
     this._hass = hass;
     if (!this._rendered) {
       this._initialRender();
+      this._setupGraphInteractions();
+      this._setupRecommendationAction();
+      this._setupHeaderActions();
+      this._setupExpandedView();
+      this._setupAlerts();
       this._rendered = true;
       this._loadHistory();
     }
     this._updateStates();
+    this._appendLiveStates();
   }
 
   getCardSize() {
-    let size = 3; // Base size for header and recommendation
-    if (this._config.co2_entity) size += 1;
-    if (this._config.pm25_entity) size += 1;
-    if (this._config.hcho_entity) size += 1;
-    if (this._config.tvoc_entity) size += 1;
-    if (this._config.humidity_entity) size += 1;
-    if (this._config.temperature_entity) size += 1;
-    return size;
+    // Base size for header and recommendation, plus one row per metric or room
+    if (this._multiRoom) return 3 + this._rooms.length + (this._config.overlay_metric ? 2 : 0);
+    return 3 + this._metrics.length + (this._config.show_score_graph ? 1 : 0);
   }
 
   async _loadHistory() {
@@ -135,47 +1762,82 @@ class AirQualityCard extends HTMLElement {
     const startTime = new Date(endTime.getTime() - (this._config.hours_to_show * 60 * 60 * 1000));
 
     try {
-      const promises = [];
-      const keys = [];
-
-      if (this._config.co2_entity) {
-        promises.push(this._fetchHistory(this._config.co2_entity, startTime, endTime));
-        keys.push('co2');
-      }
-      if (this._config.pm25_entity) {
-        promises.push(this._fetchHistory(this._config.pm25_entity, startTime, endTime));
-        keys.push('pm25');
-      }
-      if (this._config.hcho_entity) {
-        promises.push(this._fetchHistory(this._config.hcho_entity, startTime, endTime));
-        keys.push('hcho');
-      }
-      if (this._config.tvoc_entity) {
-        promises.push(this._fetchHistory(this._config.tvoc_entity, startTime, endTime));
-        keys.push('tvoc');
-      }
-      if (this._config.humidity_entity) {
-        promises.push(this._fetchHistory(this._config.humidity_entity, startTime, endTime));
-        keys.push('humidity');
-      }
-      if (this._config.temperature_entity) {
-        promises.push(this._fetchHistory(this._config.temperature_entity, startTime, endTime));
-        keys.push('temperature');
+      // Raw states are purged by the recorder after a while, so long windows
+      // read the hourly/daily long-term statistics instead
+      if (this._usesStatistics()) {
+        const liveStart = new Date(endTime.getTime() - LIVE_BUFFER_HOURS * 60 * 60 * 1000);
+        const [statistics, live] = await Promise.all([
+          this._fetchStatistics(this._metrics.map(metric => metric.entity), startTime, endTime),
+          Promise.all(this._metrics.map(metric => this._fetchHistory(metric.entity, liveStart, endTime)))
+        ]);
+        this._metrics.forEach((metric, i) => {
+          this._history[metric.id] = this._processStatistics(statistics[metric.entity] || [], metric);
+          this._live[metric.id] = this._processHistory(live[i], metric);
+        });
+      } else {
+        const results = await Promise.all(
+          this._metrics.map(metric => this._fetchHistory(metric.entity, startTime, endTime))
+        );
+        this._metrics.forEach((metric, i) => {
+          this._history[metric.id] = this._processHistory(results[i], metric);
+        });
       }
 
-      const results = await Promise.all(promises);
-
-      keys.forEach((key, i) => {
-        this._history[key] = this._processHistory(results[i]);
-      });
-
       this._historyLoaded = true;
       this._renderGraphs();
+      this._updateStates();
     } catch (e) {
       console.warn('Air Quality Card: Failed to load history:', e);
     }
   }
 
+  // Append incoming states to the loaded history so the graphs keep scrolling
+  // without refetching the whole period. Long-term statistics are hourly
+  // means that raw states would spike, so there they go to the live buffer.
+  _appendLiveStates() {
+    if (!this._hass || !this._historyLoaded) return;
+
+    const statistics = this._usesStatistics();
+    const cutoff = Date.now() - ((statistics ? LIVE_BUFFER_HOURS : this._config.hours_to_show) * 60 * 60 * 1000);
+    let changed = false;
+
+    this._metrics.forEach(metric => {
+      const stateObj = this._hass.states[metric.entity];
+      const series = this._getLiveSeries(metric);
+      if (!stateObj || !series) return;
+
+      const [point] = this._processHistory([stateObj], metric);
+      if (point && (!series.length || point.time > series[series.length - 1].time)) {
+        series.push(point);
+        changed = true;
+      }
+
+      // Drop points that scrolled out of the window, keeping the one still in
+      // effect at its start, moved to the start like the history API does
+      const firstInWindow = series.findIndex(p => p.time >= cutoff);
+      const dropCount = (firstInWindow === -1 ? series.length : firstInWindow) - 1;
+      if (dropCount > 0) series.splice(0, dropCount);
+      if (series.length && series[0].time < cutoff) series[0].time = cutoff;
+    });
+
+    if (changed && !statistics) this._scheduleGraphRender();
+  }
+
+  // Raw states of the recent past: the graphed history, or the live buffer
+  // while the graphs show long-term statistics
+  _getLiveSeries(metric) {
+    return (this._usesStatistics() ? this._live : this._history)[metric.id];
+  }
+
+  _scheduleGraphRender() {
+    if (this._graphRenderTimer) return;
+    const wait = Math.max(0, this._lastGraphRender + GRAPH_UPDATE_INTERVAL - Date.now());
+    this._graphRenderTimer = setTimeout(() => {
+      this._graphRenderTimer = null;
+      this._renderGraphs();
+    }, wait);
+  }
+
   async _fetchHistory(entityId, startTime, endTime) {
     if (!entityId) return [];
     const uri = `history/period/${startTime.toISOString()}?filter_entity_id=${entityId}&end_time=${endTime.toISOString()}&minimal_response&no_attributes`;
@@ -183,12 +1845,49 @@ class AirQualityCard extends HTMLElement {
     return response?.[0] || [];
   }
 
-  _processHistory(history) {
+  _usesStatistics(hours = this._config.hours_to_show) {
+    return hours > this._config.statistics_after_hours;
+  }
+
+  // Hourly statistics, or daily ones for windows longer than a month
+  async _fetchStatistics(entityIds, startTime, endTime, windowMs = endTime - startTime) {
+    const period = windowMs > DAILY_STATISTICS_AFTER_DAYS * 24 * 60 * 60 * 1000 ? 'day' : 'hour';
+    const response = await this._hass.callWS({
+      type: 'recorder/statistics_during_period',
+      start_time: startTime.toISOString(),
+      end_time: endTime.toISOString(),
+      statistic_ids: entityIds,
+      period,
+      types: ['mean', 'min', 'max']
+    });
+    return response || {};
+  }
+
+  // Statistics are mean/min/max per period; the mean becomes the line and
+  // min/max the shaded band around it
+  _processStatistics(statistics, metric) {
+    const sourceUnit = this._getSourceUnit(metric);
+    const convert = value => (typeof value === 'number' ? this._convertUnit(metric, value, sourceUnit) : undefined);
+    return statistics
+      .filter(item => typeof item.mean === 'number')
+      .map(item => ({
+        time: typeof item.start === 'number' ? item.start : new Date(item.start).getTime(),
+        value: convert(item.mean),
+        min: convert(item.min),
+        max: convert(item.max)
+      }));
+  }
+
+  // History is fetched without attributes, so it is assumed to be in the
+  // entity's current unit. Unavailable/unknown states are kept as points with
+  // a null value so the graphs can show the gap.
+  _processHistory(history, metric) {
+    const sourceUnit = this._getSourceUnit(metric);
     return history
-      .filter(item => item.state && !isNaN(parseFloat(item.state)))
+      .filter(item => item.state && (!isNaN(parseFloat(item.state)) || UNAVAILABLE_STATES.includes(item.state)))
       .map(item => ({
         time: new Date(item.last_changed).getTime(),
-        value: parseFloat(item.state)
+        value: UNAVAILABLE_STATES.includes(item.state) ? null : this._convertUnit(metric, parseFloat(item.state), sourceUnit)
       }));
   }
 
@@ -197,90 +1896,285 @@ class AirQualityCard extends HTMLElement {
     return this._hass?.states[entityId]?.state ?? 'unknown';
   }
 
-  _getNumericState(entityId) {
-    const state = this._getState(entityId);
-    return parseFloat(state) || 0;
+  // null while the sensor is unavailable or reports something non-numeric
+  _getNumericState(entityId, attribute = null) {
+    const state = attribute ? this._hass?.states[entityId]?.attributes?.[attribute] : this._getState(entityId);
+    const value = parseFloat(state);
+    return isNaN(value) ? null : value;
+  }
+
+  // First metric of a built-in type, e.g. the CO₂ sensor the overall status reads
+  _findMetric(type, metrics = this._metrics) {
+    return metrics.find(metric => metric.type === type) || null;
+  }
+
+  _getMetricValue(metric) {
+    const value = this._getNumericState(metric.entity, metric.attribute);
+    return value === null ? null : this._convertUnit(metric, value, this._getSourceUnit(metric));
+  }
+
+  // Minutes since the sensor last reported, once that exceeds `stale_after`;
+  // null for fresh or unavailable readings
+  _getStaleMinutes(metric) {
+    const stateObj = this._hass?.states[metric.entity];
+    if (!this._config.stale_after || !stateObj || this._getMetricValue(metric) === null) return null;
+    const minutes = (Date.now() - new Date(stateObj.last_reported || stateObj.last_updated).getTime()) / 60000;
+    return minutes > this._config.stale_after ? minutes : null;
+  }
+
+  _getSourceUnit(metric) {
+    const attributes = this._hass?.states[metric.entity]?.attributes;
+    if (metric.attribute) return metric.attribute === 'temperature' ? attributes?.temperature_unit ?? null : null;
+    return attributes?.unit_of_measurement ?? null;
+  }
+
+  // Map the many spellings of a unit (ug/m3, μg/m³, °c …) onto one form
+  _canonicalUnit(unit) {
+    if (!unit) return null;
+    const normalized = String(unit).trim().toLowerCase()
+      .replace(/\s/g, '')
+      .replace(/μ|u(?=g)/g, 'µ')
+      .replace(/\^?3$/, '³');
+    const units = {
+      'ppm': 'ppm',
+      'ppb': 'ppb',
+      'µg/m³': 'µg/m³',
+      'mg/m³': 'mg/m³',
+      'bq/m³': 'Bq/m³',
+      'pci/l': 'pCi/L',
+      '°c': '°C',
+      'c': '°C',
+      '°f': '°F',
+      'f': '°F',
+      '%': '%'
+    };
+    return units[normalized] || unit;
+  }
+
+  // Convert a value from the sensor's unit to the unit the metric is shown in.
+  // Values in units we cannot convert from are passed through unchanged.
+  _convertUnit(metric, value, sourceUnit) {
+    const from = this._canonicalUnit(sourceUnit);
+    const to = this._canonicalUnit(this._getUnit(metric));
+    if (!from || !to || from === to || !isFinite(value)) return value;
+
+    if (from === '°F' && to === '°C') return (value - 32) * 5 / 9;
+    if (from === '°C' && to === '°F') return value * 9 / 5 + 32;
+    if (from === 'pCi/L' && to === 'Bq/m³') return value * 37;
+    if (from === 'Bq/m³' && to === 'pCi/L') return value / 37;
+
+    // Mixing ratios pivot through ppb, mass concentrations through µg/m³
+    const ppbFactors = { ppm: 1000, ppb: 1 };
+    const massFactors = { 'mg/m³': 1000, 'µg/m³': 1 };
+    const weight = MOLECULAR_WEIGHTS[metric.type];
+
+    if (from in ppbFactors && to in ppbFactors) return value * ppbFactors[from] / ppbFactors[to];
+    if (from in massFactors && to in massFactors) return value * massFactors[from] / massFactors[to];
+    if (!weight) return value;
+    if (from in ppbFactors && to in massFactors) {
+      return (value * ppbFactors[from] * weight / MOLAR_VOLUME) / massFactors[to];
+    }
+    if (from in massFactors && to in ppbFactors) {
+      return (value * massFactors[from] * MOLAR_VOLUME / weight) / ppbFactors[to];
+    }
+    return value;
+  }
+
+  _getThresholds(metric) {
+    const custom = metric.thresholds || this._config.thresholds?.[metric.key];
+    if (custom) return custom;
+    if (!metric.type || !this._hasGradableUnit(metric)) return [];
+    const standard = this._getStandard().thresholds[metric.type];
+    if (standard) return standard;
+    if (metric.type === 'temperature' && !this._isCelsius()) return DEFAULT_TEMPERATURE_THRESHOLDS_F;
+    return DEFAULT_THRESHOLDS[metric.type] || [];
+  }
+
+  // A sensor in a unit the default bands aren't meant for, e.g. an NOx index
+  // set as `no2_entity`, would get wrong severities, so it isn't graded
+  _hasGradableUnit(metric) {
+    const units = METRICS.find(def => def.key === metric.type)?.units;
+    const unit = this._canonicalUnit(this._getSourceUnit(metric));
+    if (!units || !this._hass?.states[metric.entity] || units.includes(unit)) return true;
+    if (!this._unitWarnings.has(metric.entity)) {
+      this._unitWarnings.add(metric.entity);
+      console.warn(`Air Quality Card: ${metric.entity} reports "${unit ?? 'no unit'}", but ${metric.type} needs one of ${units.join(', ')}; it is shown without grading`);
+    }
+    return false;
+  }
+
+  _getBand(metric, value) {
+    const bands = this._getThresholds(metric);
+    return bands.find(band => band.max === undefined || value < band.max) || bands[bands.length - 1];
   }
 
-  _getCO2Color(value) {
-    if (value < 600) return '#4caf50';
-    if (value < 800) return '#8bc34a';
-    if (value < 1000) return '#ffc107';
-    if (value < 1500) return '#ff9800';
-    return '#f44336';
+  // The band that sets a reading's severity level (see DEFAULT_BAND_LISTS)
+  _getLevelBand(metric, value) {
+    const bands = this._getThresholds(metric);
+    const band = this._getBand(metric, value);
+    if (!DEFAULT_BAND_LISTS.has(bands)) return band;
+    const below = bands[bands.indexOf(band) - 1];
+    return below && value === below.max && below.level < band.level ? below : band;
   }
 
-  _getPM25Color(value) {
-    if (value < 5) return '#4caf50';
-    if (value < 15) return '#8bc34a';
-    if (value < 25) return '#ffc107';
-    if (value < 35) return '#ff9800';
-    return '#f44336';
+  _getStandard() {
+    return STANDARDS[this._config.standard] || STANDARDS.who;
   }
 
-  _getHCHOColor(value) {
-    if (value < 20) return '#4caf50';
-    if (value < 50) return '#8bc34a';
-    if (value < 100) return '#ffc107';
-    if (value < 200) return '#ff9800';
-    return '#f44336';
+  // Index from a PM2.5 concentration using the standard's piecewise-linear
+  // breakpoints, or null when the standard has no index
+  _getAQI(pm25) {
+    const breakpoints = this._getStandard().aqi;
+    if (!breakpoints) return null;
+    // Concentrations are truncated to the breakpoints' precision
+    const c = Math.floor(Math.max(0, pm25) * 10) / 10;
+    const [cLow, cHigh, iLow, iHigh] = breakpoints.find(([, high]) => c <= high) || breakpoints[breakpoints.length - 1];
+    return Math.min(500, Math.round(((iHigh - iLow) / (cHigh - cLow)) * (c - cLow) + iLow));
   }
 
-  _getTVOCColor(value) {
-    if (value < 100) return '#4caf50';
-    if (value < 300) return '#8bc34a';
-    if (value < 500) return '#ffc107';
-    if (value < 1000) return '#ff9800';
-    return '#f44336';
+  _getColor(metric, value) {
+    return this._getBand(metric, value)?.color || '#9e9e9e';
   }
 
-  _getHumidityColor(value) {
-    if (value < 30) return '#ff9800';
-    if (value < 40) return '#8bc34a';
-    if (value < 50) return '#4caf50';
-    if (value < 60) return '#8bc34a';
-    return '#ff9800';
+  _getLevel(metric, value) {
+    return this._getLevelBand(metric, value)?.level ?? 0;
   }
 
+  // Follows Home Assistant's unit system unless temperature_unit is set
   _isCelsius() {
-    return this._config.temperature_unit === 'C';
+    if (this._config.temperature_unit) return this._config.temperature_unit === 'C';
+    return this._hass?.config?.unit_system?.temperature !== '°F';
   }
 
   _getTempUnit() {
     return this._isCelsius() ? '°C' : '°F';
   }
 
-  _getTempColor(value) {
-    if (this._isCelsius()) {
-      if (value < 18) return '#2196f3';
-      if (value < 20) return '#03a9f4';
-      if (value < 22) return '#4caf50';
-      if (value < 24) return '#ff9800';
-      return '#f44336';
+  _getLabel(metric) {
+    if (metric.label) return this._translateLabel(metric.label);
+    return this._hass?.states[metric.entity]?.attributes.friendly_name ?? metric.entity;
+  }
+
+  // `language` overrides the language of the user's Home Assistant profile
+  _getLanguage() {
+    return this._config.language || this._hass?.locale?.language || this._hass?.language || 'en';
+  }
+
+  _t(key, vars) {
+    return localize(this._getLanguage(), key, vars);
+  }
+
+  // Band and metric labels are looked up by their English text; unknown
+  // (user-defined) labels are shown as written. UK DAQI labels keep their index.
+  _translateLabel(label) {
+    const [, base, index = ''] = String(label).match(/^(.*?)( \(\d+\))?$/);
+    return localize(this._getLanguage(), `label.${base}`, {}, base) + index;
+  }
+
+  // Recommendations stay English internally, as they key icons, severities
+  // and recommendation_actions
+  _translateRecommendation(rec) {
+    return localize(this._getLanguage(), `recommendation.${rec}`, {}, rec);
+  }
+
+  _translateSubtitle(template, values) {
+    return localize(this._getLanguage(), `subtitle.${template}`, values, template);
+  }
+
+  _getRoomName(room) {
+    return room.name || this._t('rooms.room', { number: room.index + 1 });
+  }
+
+  // Follows the profile's number format: the card language, the browser's
+  // locale, a fixed decimal separator or no grouping at all. Without
+  // `decimals` up to two fraction digits are shown.
+  _formatNumber(value, decimals) {
+    const numberFormat = this._hass?.locale?.number_format;
+    const locales = { system: undefined, comma_decimal: 'en-US', decimal_comma: 'de', space_comma: 'fr' };
+    const locale = numberFormat in locales ? locales[numberFormat] : this._getLanguage();
+    const key = `${locale}|${numberFormat}|${decimals}`;
+    if (!this._numberFormats.has(key)) {
+      this._numberFormats.set(key, new Intl.NumberFormat(locale, {
+        minimumFractionDigits: decimals ?? 0,
+        maximumFractionDigits: decimals ?? 2,
+        useGrouping: numberFormat !== 'none'
+      }));
     }
-    if (value < 65) return '#2196f3';
-    if (value < 68) return '#03a9f4';
-    if (value < 72) return '#4caf50';
-    if (value < 76) return '#ff9800';
-    return '#f44336';
+    return this._numberFormats.get(key).format(value);
+  }
+
+  // Dates are written in the card language, with the 12/24-hour clock from
+  // the profile's time format
+  _formatDate(time, options) {
+    const timeFormat = this._hass?.locale?.time_format;
+    const hourCycle = timeFormat === '12' ? 'h12'
+      : timeFormat === '24' ? 'h23'
+        : timeFormat === 'system' ? new Intl.DateTimeFormat(undefined, { hour: 'numeric' }).resolvedOptions().hourCycle : undefined;
+    return new Date(time).toLocaleString(this._getLanguage(), { ...options, hourCycle });
   }
 
-  _getOverallStatus() {
-    const co2 = this._config.co2_entity ? this._getNumericState(this._config.co2_entity) : 0;
-    const pm25 = this._config.pm25_entity ? this._getNumericState(this._config.pm25_entity) : 0;
+  // Display unit; custom metrics without one show the entity's own unit
+  _getUnit(metric) {
+    if (metric.unit) return metric.unit;
+    if (metric.type === 'temperature') return this._getTempUnit();
+    return this._getSourceUnit(metric) ?? '';
+  }
+
+  // Graph range; metrics without one are scaled to their data
+  _getRange(metric) {
+    const [min, max] = metric.type === 'temperature' ? (this._isCelsius() ? [10, 32] : [50, 90]) : [];
+    return [metric.min ?? min, metric.max ?? max];
+  }
+
+  _formatValue(metric, value) {
+    return this._formatNumber(value, metric.decimals);
+  }
+
+  // `status` is the translated badge text, `label` the English band label
+  _getOverallStatus(room = this._rooms[0]) {
+    const unavailable = { status: this._t('state.unavailable'), label: 'Unavailable', color: '#9e9e9e', level: 0 };
 
     // If air_quality_entity is configured, use it
-    if (this._config.air_quality_entity) {
-      const quality = this._getState(this._config.air_quality_entity);
-      return { status: quality.replace('_', ' '), color: this._getQualityColor(quality) };
+    if (room.config.air_quality_entity) {
+      const quality = this._getState(room.config.air_quality_entity);
+      if (UNAVAILABLE_STATES.includes(quality)) return unavailable;
+      const label = quality.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+      return { status: this._translateLabel(label), label, color: this._getQualityColor(quality), level: this._getQualityLevel(quality) };
     }
 
-    // Otherwise calculate from CO2 and PM2.5
-    if (co2 > 1500 || pm25 > 35) return { status: 'Poor', color: '#f44336' };
-    if (co2 > 1000 || pm25 > 25) return { status: 'Fair', color: '#ff9800' };
-    if (co2 > 800 || pm25 > 15) return { status: 'Moderate', color: '#ffc107' };
-    if (co2 > 600 || pm25 > 5) return { status: 'Good', color: '#8bc34a' };
-    return { status: 'Excellent', color: '#4caf50' };
+    // Otherwise report the worst CO2 / PM2.5 band; PM2.5 wins ties so the
+    // badge uses the selected standard's wording. Unavailable sensors are
+    // left out rather than read as 0.
+    const co2Metric = this._findMetric('co2', room.metrics);
+    const pm25Metric = this._findMetric('pm25', room.metrics);
+    const co2 = co2Metric ? this._getMetricValue(co2Metric) : null;
+    const pm25 = pm25Metric ? this._getMetricValue(pm25Metric) : null;
+    let worst = null;
+    const pm25Band = pm25 !== null ? this._getLevelBand(pm25Metric, pm25) : null;
+    const co2Band = co2 !== null ? this._getLevelBand(co2Metric, co2) : null;
+    if (pm25Band) worst = { type: 'pm25', band: pm25Band };
+    if (co2Band && (!worst || co2Band.level > worst.band.level)) worst = { type: 'co2', band: co2Band };
+    if (!worst) return co2Metric || pm25Metric ? unavailable : { status: this._translateLabel('Good'), label: 'Good', color: '#4caf50', level: 0 };
+
+    const aqi = worst.type === 'pm25' ? this._getAQI(pm25) : null;
+    const english = worst.band.status ?? worst.band.label;
+    const label = this._translateLabel(english);
+    const status = aqi !== null ? `AQI ${aqi} · ${label}` : label;
+    return { status, label: english, color: worst.band.color, level: worst.band.level };
+  }
+
+  _getQualityLevel(quality) {
+    const levels = {
+      'excellent': 0,
+      'good': 0,
+      'moderate': 1,
+      'fair': 2,
+      'poor': 3,
+      'very_poor': 4,
+      'very poor': 4,
+      'extremely_poor': 4
+    };
+    return levels[quality?.toLowerCase()] ?? 0;
   }
 
   _getQualityColor(quality) {
@@ -297,51 +2191,309 @@ class AirQualityCard extends HTMLElement {
     return colors[quality?.toLowerCase()] || '#9e9e9e';
   }
 
-  _getRecommendation() {
-    // If recommendation_entity is configured, use it
-    if (this._config.recommendation_entity) {
-      const rec = this._getState(this._config.recommendation_entity);
-      return rec !== 'unknown' ? rec : null;
-    }
-
-    // Otherwise calculate from sensor values
-    const co2 = this._config.co2_entity ? this._getNumericState(this._config.co2_entity) : 0;
-    const pm25 = this._config.pm25_entity ? this._getNumericState(this._config.pm25_entity) : 0;
-    const humidity = this._config.humidity_entity ? this._getNumericState(this._config.humidity_entity) : 45;
-
-    if (co2 > 1500) return 'Ventilate Now';
-    if (pm25 > 35) return 'Run Air Purifier';
-    if (pm25 > 25 && co2 > 1000) return 'Air Purifier + Ventilate';
-    if (pm25 > 25) return 'Run Air Purifier';
-    if (co2 > 1000) return 'Open Window';
-    if (humidity < 30) return 'Too Dry';
-    if (humidity > 60) return 'Too Humid';
-    if (co2 > 800 || pm25 > 15) return 'Consider Ventilating';
-    return 'All Good';
-  }
-
-  _getRecommendationIcon(rec) {
-    const icons = {
-      'All Good': 'mdi:check-circle',
-      'Consider Ventilating': 'mdi:information',
-      'Open Window': 'mdi:window-open-variant',
-      'Run Air Purifier': 'mdi:air-purifier',
-      'Air Purifier + Ventilate': 'mdi:alert',
-      'Ventilate Now': 'mdi:alert-circle',
-      'Too Dry': 'mdi:water-percent',
-      'Too Humid': 'mdi:water'
+  _getScoreWeight(metric) {
+    return this._config.score_weights?.[metric.key] ?? (metric.type ? SCORE_WEIGHTS[metric.type] : 1) ?? 1;
+  }
+
+  // Weighted mean of the room's per-metric sub-scores, from 100 in a level 0
+  // band down to 0 at SCORE_MAX_LEVEL. Metrics without thresholds, weight or
+  // a reading are left out. `parts` lists each metric with the points it
+  // costs the score; `valueOf` reads a metric's value (the current state by
+  // default, or a historic one).
+  _getScore(room, valueOf = metric => this._getMetricValue(metric)) {
+    const parts = [];
+    room.metrics.forEach(metric => {
+      const weight = this._getScoreWeight(metric);
+      const value = valueOf(metric);
+      if (!weight || value === null || value === undefined || !this._getThresholds(metric).length) return;
+      const level = Math.min(this._getLevel(metric, value), SCORE_MAX_LEVEL);
+      parts.push({ metric, value, weight, score: 100 - (level / SCORE_MAX_LEVEL) * 100 });
+    });
+    if (!parts.length) return null;
+
+    const total = parts.reduce((sum, part) => sum + part.weight, 0);
+    parts.forEach(part => { part.loss = ((100 - part.score) * part.weight) / total; });
+    return { score: parts.reduce((sum, part) => sum + part.score * part.weight, 0) / total, parts };
+  }
+
+  // The score at every state change in the room's loaded histories, from the
+  // values in effect at that time
+  _getScoreHistory(room) {
+    const series = new Map(room.metrics.map(metric => [metric, { data: this._history[metric.id] || [], index: -1 }]));
+    const times = [...new Set([...series.values()].flatMap(({ data }) => data.map(point => point.time)))].sort((a, b) => a - b);
+    const valueOf = metric => {
+      const { data, index } = series.get(metric);
+      return index >= 0 ? data[index].value : null;
+    };
+    return times.map(time => {
+      series.forEach(entry => {
+        while (entry.index + 1 < entry.data.length && entry.data[entry.index + 1].time <= time) entry.index++;
+      });
+      return { time, value: this._getScore(room, valueOf)?.score ?? null };
+    });
+  }
+
+  // The first of the room's `recommendations` rules (or the built-in ones)
+  // that holds, as { title, subtitle, icon, severity }
+  _getRecommendation(room = this._rooms[0]) {
+    const rules = this._getRecommendationRules(room);
+
+    // If recommendation_entity is configured, use it; a rule with the same
+    // title supplies the icon, severity and subtitle. While it is unavailable
+    // the rules below stand in for it.
+    const rec = room.config.recommendation_entity ? this._getState(room.config.recommendation_entity) : null;
+    if (rec !== null && !UNAVAILABLE_STATES.includes(rec)) {
+      const named = rules.filter(rule => rule.title === rec);
+      const rule = named.find(r => this._matchesRule(r, room)) || named[0] || { title: rec };
+      return this._resolveRecommendation(this._applyOutdoorAir(rule, room), room);
+    }
+
+    // Rules skip unavailable metrics; with none left there is nothing to assess
+    if (room.metrics.length && room.metrics.every(metric => this._getMetricValue(metric) === null)) {
+      return this._resolveRecommendation(UNAVAILABLE_RECOMMENDATION, room);
+    }
+
+    const rule = rules.find(r => this._matchesRule(r, room)) || DEFAULT_RECOMMENDATIONS[DEFAULT_RECOMMENDATIONS.length - 1];
+    return this._resolveRecommendation(this._applyOutdoorAir(rule, room), room);
+  }
+
+  // Opening a window only helps when the outdoor air is better: ventilation
+  // advice turns into "Keep Windows Closed" when outdoor PM2.5 is worse, and
+  // asks for short airing when it is freezing or hot outside. For humidity
+  // advice, absolute humidity tells whether airing out dries or humidifies.
+  _applyOutdoorAir(rule, room) {
+    const outdoorPm25 = this._findMetric('pm25', room.outdoor);
+    const indoorPm25 = this._findMetric('pm25', room.metrics);
+    const outside = outdoorPm25 ? this._getMetricValue(outdoorPm25) : null;
+    const inside = indoorPm25 ? this._getMetricValue(indoorPm25) : null;
+    if (rule.ventilate && outside !== null && (inside === null || outside > inside) && this._getLevel(outdoorPm25, outside) >= OUTDOOR_PM25_LEVEL) {
+      return { ...KEEP_CLOSED_RECOMMENDATION, severity: rule.severity };
+    }
+
+    const side = [...(rule.all || []), ...(rule.any || [])].find(c => c.metric === 'humidity' && c.side)?.side;
+    const indoorHumidity = this._getAbsoluteHumidity(room.metrics);
+    const outdoorHumidity = this._getAbsoluteHumidity(room.outdoor);
+    if (side && indoorHumidity !== null && outdoorHumidity !== null) {
+      const subtitles = side === 'high'
+        ? ['Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help',
+          'Outside air is more humid ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - use a dehumidifier']
+        : ['Outside air holds more moisture ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out will help',
+          'Outside air is drier ({outdoor_absolute_humidity} vs. {absolute_humidity} g/m³) - airing out would dry the room further'];
+      const helps = side === 'high' ? outdoorHumidity < indoorHumidity : outdoorHumidity > indoorHumidity;
+      return { ...rule, subtitle: subtitles[helps ? 0 : 1] };
+    }
+
+    const outdoorTemperature = this._findMetric('temperature', room.outdoor);
+    const temperature = outdoorTemperature ? this._toCelsius(this._getMetricValue(outdoorTemperature)) : null;
+    if (rule.ventilate && temperature !== null) {
+      const [cold, hot] = OUTDOOR_TEMPERATURE_RANGE;
+      if (temperature < cold) return { ...rule, subtitle: 'Only {outdoor_temperature}° outside - air out briefly with the window wide open' };
+      if (temperature > hot) return { ...rule, subtitle: '{outdoor_temperature}° outside - air out briefly or in the cooler hours' };
+    }
+    return rule;
+  }
+
+  // Absolute humidity in g/m³ from temperature and relative humidity
+  // (Magnus formula), or null without both readings
+  _getAbsoluteHumidity(metrics) {
+    const temperatureMetric = this._findMetric('temperature', metrics);
+    const humidityMetric = this._findMetric('humidity', metrics);
+    if (!temperatureMetric || !humidityMetric) return null;
+    const temperature = this._toCelsius(this._getMetricValue(temperatureMetric));
+    const humidity = this._getMetricValue(humidityMetric);
+    if (temperature === null || humidity === null) return null;
+    return 6.112 * Math.exp((17.67 * temperature) / (temperature + 243.5)) * humidity * 2.1674 / (273.15 + temperature);
+  }
+
+  _toCelsius(value) {
+    if (value === null || this._isCelsius()) return value;
+    return (value - 32) * 5 / 9;
+  }
+
+  _getRecommendationRules(room) {
+    return room.config.recommendations || this._config.recommendations || DEFAULT_RECOMMENDATIONS;
+  }
+
+  _resolveRecommendation(rule, room) {
+    return {
+      title: rule.title,
+      subtitle: rule.subtitle ? this._formatRecommendationSubtitle(rule.subtitle, room) : '',
+      icon: rule.icon || 'mdi:air-filter',
+      severity: rule.severity ?? 1
+    };
+  }
+
+  // Every `all` condition must hold, and at least one `any` condition if given
+  _matchesRule(rule, room) {
+    const holds = condition => this._matchesCondition(condition, room);
+    return (rule.all || []).every(holds) && (!rule.any?.length || rule.any.some(holds));
+  }
+
+  // A condition on one metric: a minimum band `level` (optionally on one
+  // `side` of the comfortable band) and/or `above`/`below` a value, held
+  // for at least `for` minutes
+  _matchesCondition(condition, room) {
+    const metric = [...room.metrics, ...room.outdoor].find(m => m.key === condition.metric) || this._findMetric(condition.metric, room.metrics);
+    if (!metric) return false;
+
+    const test = value => {
+      if (value === null) return false;
+      if (condition.above !== undefined && !(value > condition.above)) return false;
+      if (condition.below !== undefined && !(value < condition.below)) return false;
+      if (condition.level === undefined) return true;
+      const band = this._getLevelBand(metric, value);
+      return (band?.level ?? 0) >= condition.level && (!condition.side || this._getBandSide(metric, band) === condition.side);
     };
-    return icons[rec] || 'mdi:air-filter';
+    if (!test(this._getMetricValue(metric))) return false;
+    return !condition.for || this._heldFor(metric, test, condition.for);
   }
 
-  _initialRender() {
-    const showCO2 = !!this._config.co2_entity;
-    const showPM25 = !!this._config.pm25_entity;
-    const showHCHO = !!this._config.hcho_entity;
-    const showTVOC = !!this._config.tvoc_entity;
-    const showHumidity = !!this._config.humidity_entity;
-    const showTemp = !!this._config.temperature_entity;
+  // Bands like humidity's run from too low to too high, so which side of the
+  // most comfortable band a band lies on tells which way the value is off
+  _getBandSide(metric, band) {
+    if (!band) return null;
+    const bands = this._getThresholds(metric);
+    const best = bands.indexOf(bands.reduce((a, b) => (b.level < a.level ? b : a)));
+    const index = bands.indexOf(band);
+    if (index === best) return null;
+    return index < best ? 'low' : 'high';
+  }
+
+  // Whether every raw state of the last `minutes` passed `test`, including
+  // the one already in effect when that period began. Reads the live buffer
+  // in statistics mode, so alerts and `for` rules see the recent readings.
+  _heldFor(metric, test, minutes) {
+    const since = Date.now() - minutes * 60 * 1000;
+    const series = this._getLiveSeries(metric) || [];
+    for (let i = series.length - 1; i >= 0; i--) {
+      if (!test(series[i].value)) return false;
+      if (series[i].time <= since) return true;
+    }
+    return false;
+  }
+
+  // Subtitles fill {<metric key>} placeholders, e.g. "CO₂ at {co2} ppm" or
+  // {outdoor_pm25}, and are left out when a placeholder has no value
+  _formatRecommendationSubtitle(template, room) {
+    const values = {};
+    [...room.metrics, ...room.outdoor].forEach(metric => {
+      const value = this._getMetricValue(metric);
+      if (value !== null && !(metric.key in values)) values[metric.key] = this._formatValue(metric, value);
+    });
+    const indoorHumidity = this._getAbsoluteHumidity(room.metrics);
+    const outdoorHumidity = this._getAbsoluteHumidity(room.outdoor);
+    if (indoorHumidity !== null) values.absolute_humidity = this._formatNumber(indoorHumidity, 1);
+    if (outdoorHumidity !== null) values.outdoor_absolute_humidity = this._formatNumber(outdoorHumidity, 1);
+    const text = this._translateSubtitle(template, values);
+    return /\{\w+\}/.test(text) ? '' : text;
+  }
+
+  // One template sensor per room whose state follows _getRecommendation():
+  // the same rules, entities, thresholds and outdoor PM2.5 check. Readings
+  // are converted into the card's units the way the card converts them.
+  _buildRecommendationTemplate() {
+    const sensors = this._rooms.map(room => {
+      const name = this._multiRoom ? `${this._getRoomName(room)} Air Quality Recommendation` : 'Air Quality Recommendation';
+      const uniqueId = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+      const state = this._buildRoomTemplate(room).map(line => `          ${line}`).join('\n');
+      return `      - name: "${name.replace(/"/g, '\\"')}"\n        unique_id: ${uniqueId}\n        state: >\n${state}`;
+    });
+    return `template:\n  - sensor:\n${sensors.join('\n')}\n`;
+  }
+
+  _buildRoomTemplate(room) {
+    const variable = metric => (/^\d/.test(metric.key) ? `_${metric.key}` : metric.key);
+    const lines = [];
+    [...room.metrics, ...room.outdoor].forEach(metric => {
+      const v = variable(metric);
+      const read = metric.attribute ? `state_attr('${metric.entity}', '${metric.attribute}')` : `states('${metric.entity}')`;
+      lines.push(`{% set ${v} = ${read} | float(none) %}`);
+      // Every conversion is linear, so two points give it
+      const sourceUnit = this._getSourceUnit(metric);
+      const offset = this._convertUnit(metric, 0, sourceUnit);
+      const factor = this._convertUnit(metric, 1, sourceUnit) - offset;
+      if (factor !== 1 || offset !== 0) {
+        const shift = offset ? ` ${offset < 0 ? '-' : '+'} ${Number(Math.abs(offset).toPrecision(6))}` : '';
+        lines.push(`{% set ${v} = ${v} * ${Number(factor.toPrecision(6))}${shift} if ${v} is not none else none %}`);
+      }
+    });
+
+    const outdoorPm25 = this._findMetric('pm25', room.outdoor);
+    const indoorPm25 = this._findMetric('pm25', room.metrics);
+    if (outdoorPm25) {
+      const outside = variable(outdoorPm25);
+      const higher = indoorPm25 ? `(${variable(indoorPm25)} is none or ${outside} > ${variable(indoorPm25)})` : null;
+      const level = this._templateLevelTest(outdoorPm25, outside, OUTDOOR_PM25_LEVEL);
+      lines.push(`{% set keep_closed = ${[`${outside} is not none`, higher, level].filter(Boolean).join(' and ')} %}`);
+    }
+
+    lines.push(`{% if ${room.metrics.map(metric => `${variable(metric)} is none`).join(' and ')} %}`, `  ${UNAVAILABLE_RECOMMENDATION.title}`);
+    // Rules on metrics the room doesn't have never match and are left out; a
+    // rule without conditions ends the chain
+    let fallback = DEFAULT_RECOMMENDATIONS[DEFAULT_RECOMMENDATIONS.length - 1];
+    for (const rule of this._getRecommendationRules(room)) {
+      const conditions = (rule.all || []).map(condition => this._templateCondition(condition, room, variable));
+      const any = (rule.any || []).map(condition => this._templateCondition(condition, room, variable)).filter(test => test !== 'false');
+      if (rule.any?.length) conditions.push(any.length > 1 ? `(${any.join(' or ')})` : (any[0] || 'false'));
+      if (conditions.includes('false')) continue;
+      if (!conditions.length) {
+        fallback = rule;
+        break;
+      }
+      if ([...(rule.all || []), ...(rule.any || [])].some(condition => condition.for)) {
+        lines.push('{# "for" durations of the next rule need history and are left out #}');
+      }
+      lines.push(`{% elif ${conditions.join(' and ')} %}`, `  ${this._templateTitle(rule, outdoorPm25)}`);
+    }
+    lines.push('{% else %}', `  ${this._templateTitle(fallback, outdoorPm25)}`, '{% endif %}');
+    return lines;
+  }
+
+  // Ventilating rules turn into "Keep Windows Closed" when outdoor PM2.5 is high
+  _templateTitle(rule, outdoorPm25) {
+    if (!rule.ventilate || !outdoorPm25) return rule.title;
+    return `{{ '${KEEP_CLOSED_RECOMMENDATION.title}' if keep_closed else '${rule.title.replace(/'/g, "\\'")}' }}`;
+  }
+
+  // Jinja test for one rule condition, as _matchesCondition() checks it
+  _templateCondition(condition, room, variable) {
+    const metric = [...room.metrics, ...room.outdoor].find(m => m.key === condition.metric) || this._findMetric(condition.metric, room.metrics);
+    if (!metric) return 'false';
+    const v = variable(metric);
+    const tests = [`${v} is not none`];
+    if (condition.above !== undefined) tests.push(`${v} > ${condition.above}`);
+    if (condition.below !== undefined) tests.push(`${v} < ${condition.below}`);
+    if (condition.level !== undefined) tests.push(this._templateLevelTest(metric, v, condition.level, condition.side));
+    return tests.filter(Boolean).join(' and ');
+  }
+
+  // The value ranges whose band is at least `level` (on `side`, if given).
+  // The last band catches everything above the one before it; boundaries
+  // follow _getLevelBand().
+  _templateLevelTest(metric, v, level, side = null) {
+    const bands = this._getThresholds(metric);
+    if (!bands.length) return level > 0 ? 'false' : null;
+    const towardBetter = DEFAULT_BAND_LISTS.has(bands);
+    const ranges = [];
+    bands.forEach((band, i) => {
+      if (band.level < level || (side && this._getBandSide(metric, band) !== side)) return;
+      const lower = i > 0 ? bands[i - 1].max : null;
+      const upper = i < bands.length - 1 ? band.max : null;
+      const lowerOpen = towardBetter && i > 0 && bands[i - 1].level < band.level;
+      const upperClosed = towardBetter && upper !== null && band.level < bands[i + 1].level;
+      const last = ranges[ranges.length - 1];
+      if (last && last.upper === lower) Object.assign(last, { upper, upperClosed });
+      else ranges.push({ lower, upper, lowerOpen, upperClosed });
+    });
+    if (!ranges.length) return 'false';
+    const tests = ranges.map(({ lower, upper, lowerOpen, upperClosed }) => [
+      lower !== null ? `${v} ${lowerOpen ? '>' : '>='} ${lower}` : null,
+      upper !== null ? `${v} ${upperClosed ? '<=' : '<'} ${upper}` : null
+    ].filter(Boolean).join(' and ') || 'true');
+    return tests.length > 1 ? `(${tests.map(test => `(${test})`).join(' or ')})` : tests[0];
+  }
 
+  _initialRender() {
     this.shadowRoot.innerHTML = `
       <style>
         :host {
@@ -361,17 +2513,97 @@ class AirQualityCard extends HTMLElement {
         }
 
         .header {
+          position: relative;
           display: flex;
           justify-content: space-between;
           align-items: center;
           margin-bottom: 12px;
         }
 
-        .title {
-          font-size: 1.1em;
-          font-weight: 600;
-        }
-
+        .header-status {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .score {
+          position: relative;
+          width: 36px;
+          height: 36px;
+          cursor: pointer;
+        }
+
+        .score svg {
+          width: 100%;
+          height: 100%;
+        }
+
+        .score circle {
+          fill: none;
+          stroke-width: 3.5;
+        }
+
+        .score-track {
+          stroke: var(--divider-color, rgba(0, 0, 0, 0.12));
+        }
+
+        .score-ring {
+          stroke-linecap: round;
+          transition: stroke-dasharray 0.3s, stroke 0.3s;
+        }
+
+        .score-value {
+          position: absolute;
+          inset: 0;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: 0.75em;
+          font-weight: 600;
+        }
+
+        .score-breakdown {
+          position: absolute;
+          top: 100%;
+          right: 0;
+          z-index: 2;
+          min-width: 220px;
+          margin-top: 4px;
+          padding: 8px 12px;
+          border-radius: 8px;
+          background: var(--ha-card-background, var(--card-background-color, #fff));
+          box-shadow: var(--ha-card-box-shadow, 0 2px 8px rgba(0, 0, 0, 0.25));
+          font-size: 0.8em;
+        }
+
+        .score-breakdown[hidden] {
+          display: none;
+        }
+
+        .score-breakdown-title {
+          font-weight: 600;
+          margin-bottom: 4px;
+        }
+
+        .score-breakdown-row {
+          display: grid;
+          grid-template-columns: 1fr auto auto;
+          gap: 8px;
+          align-items: center;
+          padding: 2px 0;
+        }
+
+        .score-breakdown-loss {
+          color: var(--secondary-text-color);
+          text-align: right;
+          min-width: 44px;
+        }
+
+        .title {
+          font-size: 1.1em;
+          font-weight: 600;
+        }
+
         .status-badge {
           display: flex;
           align-items: center;
@@ -383,6 +2615,69 @@ class AirQualityCard extends HTMLElement {
           text-transform: capitalize;
         }
 
+        .alert-bell {
+          --mdc-icon-size: 20px;
+          color: var(--secondary-text-color);
+          cursor: pointer;
+        }
+
+        .alert-bell.active {
+          color: var(--error-color, #f44336);
+        }
+
+        .alert-banner {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px 12px;
+          border-radius: 10px;
+          margin-bottom: 10px;
+          font-size: 0.9em;
+          font-weight: 500;
+        }
+
+        .alert-banner[hidden],
+        .alert-log[hidden] {
+          display: none;
+        }
+
+        .alert-banner ha-icon {
+          --mdc-icon-size: 20px;
+        }
+
+        .alert-text {
+          flex: 1;
+        }
+
+        .alert-dismiss {
+          cursor: pointer;
+          opacity: 0.7;
+        }
+
+        .alert-log {
+          margin-bottom: 10px;
+          padding: 8px 12px;
+          border-radius: 10px;
+          background: var(--secondary-background-color);
+          font-size: 0.8em;
+        }
+
+        .alert-log-title {
+          font-weight: 600;
+          margin-bottom: 4px;
+        }
+
+        .alert-log-row {
+          display: flex;
+          gap: 8px;
+          padding: 1px 0;
+        }
+
+        .alert-log-time {
+          color: var(--secondary-text-color);
+          font-variant-numeric: tabular-nums;
+        }
+
         .recommendation {
           display: flex;
           align-items: center;
@@ -412,17 +2707,64 @@ class AirQualityCard extends HTMLElement {
           margin-top: 1px;
         }
 
+        .recommendation-note {
+          font-size: 0.75em;
+          color: var(--warning-color, #ff9800);
+          margin-top: 2px;
+        }
+
+        .recommendation-note:empty {
+          display: none;
+        }
+
+        .rec-action {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          padding: 6px 10px;
+          border: 1px solid var(--primary-color);
+          border-radius: 16px;
+          background: none;
+          color: var(--primary-color);
+          font: inherit;
+          font-size: 0.8em;
+          font-weight: 500;
+          white-space: nowrap;
+          cursor: pointer;
+        }
+
+        .rec-action[hidden] {
+          display: none;
+        }
+
+        .rec-action.active {
+          background: var(--primary-color);
+          color: var(--text-primary-color, #fff);
+        }
+
+        .rec-action:disabled {
+          opacity: 0.5;
+          cursor: progress;
+        }
+
+        .recommendation .rec-action ha-icon {
+          --mdc-icon-size: 18px;
+        }
+
         .graphs {
           display: flex;
           flex-direction: column;
           gap: 8px;
         }
 
+        .actionable {
+          cursor: pointer;
+        }
+
         .graph-container {
           background: var(--secondary-background-color);
           border-radius: 10px;
           padding: 10px 12px;
-          cursor: pointer;
         }
 
         .graph-header {
@@ -451,6 +2793,30 @@ class AirQualityCard extends HTMLElement {
           opacity: 0.8;
         }
 
+        .graph-value .trend-icon,
+        .graph-value .stale-icon {
+          --mdc-icon-size: 16px;
+          margin-left: 2px;
+          vertical-align: text-bottom;
+        }
+
+        .graph-value .stale-icon {
+          color: var(--warning-color, #ff9800);
+        }
+
+        .graph-trend,
+        .graph-outdoor {
+          font-size: 0.7em;
+          color: var(--secondary-text-color);
+          text-align: right;
+          margin: -4px 0 4px;
+        }
+
+        .graph-trend:empty,
+        .graph-outdoor:empty {
+          display: none;
+        }
+
         .graph-value .status {
           font-size: 0.7em;
           font-weight: 500;
@@ -480,6 +2846,94 @@ class AirQualityCard extends HTMLElement {
           stroke-linejoin: round;
         }
 
+        .graph-markers {
+          position: absolute;
+          inset: 0;
+          pointer-events: none;
+        }
+
+        .graph-marker {
+          position: absolute;
+          width: 5px;
+          height: 5px;
+          border-radius: 50%;
+          background: var(--primary-text-color);
+          border: 1px solid var(--card-background-color, #fff);
+          transform: translate(-50%, -50%);
+        }
+
+        .graph-marker-label {
+          position: absolute;
+          font-size: 0.6em;
+          color: var(--secondary-text-color);
+          white-space: nowrap;
+        }
+
+        .graph-marker-label.max {
+          transform: translate(-50%, calc(-100% - 4px));
+        }
+
+        .graph-marker-label.min {
+          transform: translate(-50%, 4px);
+        }
+
+        .graph-marker-label.left.max {
+          transform: translate(0, calc(-100% - 4px));
+        }
+
+        .graph-marker-label.left.min {
+          transform: translate(0, 4px);
+        }
+
+        .graph-marker-label.right.max {
+          transform: translate(-100%, calc(-100% - 4px));
+        }
+
+        .graph-marker-label.right.min {
+          transform: translate(-100%, 4px);
+        }
+
+        .graph-stats {
+          margin-top: 6px;
+          font-size: 0.7em;
+        }
+
+        .graph-stats:empty {
+          display: none;
+        }
+
+        .stats-row {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: space-between;
+          gap: 4px 10px;
+        }
+
+        .stats-label {
+          color: var(--secondary-text-color);
+        }
+
+        .band-bar {
+          display: flex;
+          height: 4px;
+          border-radius: 2px;
+          overflow: hidden;
+          margin: 6px 0 4px;
+        }
+
+        .band-shares {
+          justify-content: flex-start;
+          color: var(--secondary-text-color);
+        }
+
+        .band-shares i {
+          display: inline-block;
+          width: 6px;
+          height: 6px;
+          border-radius: 50%;
+          margin-right: 3px;
+        }
+
         .graph-cursor {
           position: absolute;
           top: 0;
@@ -528,175 +2982,453 @@ class AirQualityCard extends HTMLElement {
         }
 
         .graph-time-axis {
-          display: flex;
-          justify-content: space-between;
+          position: relative;
+          height: 1.4em;
           font-size: 0.6em;
           color: var(--secondary-text-color);
           margin-top: 4px;
           opacity: 0.8;
         }
 
-        .no-data {
-          text-align: center;
-          padding: 20px;
+        .graph-time-axis span {
+          position: absolute;
+          white-space: nowrap;
+        }
+
+        .graph-band {
+          opacity: 0.08;
+        }
+
+        .graph-threshold-line {
+          stroke-width: 1;
+          stroke-dasharray: 4 3;
+          opacity: 0.6;
+          vector-effect: non-scaling-stroke;
+        }
+
+        .graph-y-axis {
+          position: absolute;
+          top: 0;
+          bottom: 0;
+          left: 2px;
+          display: flex;
+          flex-direction: column;
+          justify-content: space-between;
+          font-size: 0.6em;
           color: var(--secondary-text-color);
+          opacity: 0.8;
+          pointer-events: none;
         }
-      </style>
 
-      <ha-card>
-        <div class="card">
-          <div class="header">
-            <span class="title">${this._config.name}</span>
-            <div class="status-badge" id="status-badge">
-              <ha-icon id="status-icon" icon="mdi:leaf"></ha-icon>
-              <span id="status-text">Good</span>
-            </div>
-          </div>
+        .graph-y-axis:empty {
+          display: none;
+        }
 
-          <div class="recommendation" id="recommendation">
-            <ha-icon id="rec-icon" icon="mdi:check-circle"></ha-icon>
-            <div class="recommendation-text">
-              <div class="recommendation-title" id="rec-title">All Good</div>
-              <div class="recommendation-subtitle" id="rec-subtitle">Air quality is within healthy limits</div>
-            </div>
-          </div>
+        .graph-y-axis.secondary {
+          left: auto;
+          right: 2px;
+          text-align: right;
+          color: ${EXPANDED_SECONDARY_COLOR};
+        }
 
-          <div class="graphs">
-            ${showCO2 ? `
-            <div class="graph-container" id="co2-graph-container" data-entity="${this._config.co2_entity}">
-              <div class="graph-header">
-                <span class="graph-label">CO₂</span>
-                <span class="graph-value" id="co2-value">-- <span class="unit">ppm</span><span class="status" id="co2-status"></span></span>
-              </div>
-              <div class="graph-wrapper">
-                <div class="graph" id="co2-graph">
-                  <svg id="co2-svg" viewBox="0 0 300 50" preserveAspectRatio="none"></svg>
-                </div>
-                <div class="graph-cursor" id="co2-cursor"></div>
-                <div class="graph-tooltip" id="co2-tooltip">
-                  <div class="graph-tooltip-value"></div>
-                  <div class="graph-tooltip-time"></div>
-                </div>
-              </div>
-              <div class="graph-time-axis" id="co2-time-axis"></div>
-            </div>
-            ` : ''}
+        .graph-expand {
+          --mdc-icon-size: 14px;
+          margin-left: 4px;
+          opacity: 0.6;
+          cursor: pointer;
+          vertical-align: text-bottom;
+        }
 
-            ${showPM25 ? `
-            <div class="graph-container" id="pm25-graph-container" data-entity="${this._config.pm25_entity}">
-              <div class="graph-header">
-                <span class="graph-label">PM2.5</span>
-                <span class="graph-value" id="pm25-value">-- <span class="unit">μg/m³</span><span class="status" id="pm25-status"></span></span>
-              </div>
-              <div class="graph-wrapper">
-                <div class="graph" id="pm25-graph">
-                  <svg id="pm25-svg" viewBox="0 0 300 50" preserveAspectRatio="none"></svg>
-                </div>
-                <div class="graph-cursor" id="pm25-cursor"></div>
-                <div class="graph-tooltip" id="pm25-tooltip">
-                  <div class="graph-tooltip-value"></div>
-                  <div class="graph-tooltip-time"></div>
-                </div>
-              </div>
-              <div class="graph-time-axis" id="pm25-time-axis"></div>
-            </div>
-            ` : ''}
-            ${showHCHO ? `
-            <div class="graph-container" id="hcho-graph-container" data-entity="${this._config.hcho_entity}">
-              <div class="graph-header">
-                <span class="graph-label">HCHO / CH₂O</span>
-                <span class="graph-value" id="hcho-value">-- <span class="unit">ppb</span><span class="status" id="hcho-status"></span></span>
-              </div>
-              <div class="graph-wrapper">
-                <div class="graph" id="hcho-graph">
-                  <svg id="hcho-svg" viewBox="0 0 300 50" preserveAspectRatio="none"></svg>
-                </div>
-                <div class="graph-cursor" id="hcho-cursor"></div>
-                <div class="graph-tooltip" id="hcho-tooltip">
-                  <div class="graph-tooltip-value"></div>
-                  <div class="graph-tooltip-time"></div>
-                </div>
-              </div>
-              <div class="graph-time-axis" id="hcho-time-axis"></div>
-            </div>
-            ` : ''}
+        .expanded-dialog {
+          position: fixed;
+          inset: 0;
+          z-index: 999;
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          padding: 16px;
+          background: rgba(0, 0, 0, 0.5);
+        }
 
-            ${showTVOC ? `
-            <div class="graph-container" id="tvoc-graph-container" data-entity="${this._config.tvoc_entity}">
-              <div class="graph-header">
-                <span class="graph-label">tVOC</span>
-                <span class="graph-value" id="tvoc-value">-- <span class="unit">ppb</span><span class="status" id="tvoc-status"></span></span>
-              </div>
+        .expanded-dialog[hidden] {
+          display: none;
+        }
+
+        .expanded-panel {
+          width: 100%;
+          max-width: 900px;
+          padding: 16px;
+          border-radius: 12px;
+          background: var(--card-background-color, var(--ha-card-background, #fff));
+          box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3);
+        }
+
+        .expanded-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          margin-bottom: 10px;
+        }
+
+        .expanded-title {
+          font-weight: 600;
+        }
+
+        .expanded-close {
+          cursor: pointer;
+        }
+
+        .expanded-controls {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 6px;
+          margin-bottom: 10px;
+        }
+
+        .expanded-controls button,
+        .expanded-controls select {
+          padding: 4px 10px;
+          border: 1px solid var(--divider-color);
+          border-radius: 14px;
+          background: none;
+          color: var(--primary-text-color);
+          font: inherit;
+          font-size: 0.8em;
+          cursor: pointer;
+        }
+
+        .expanded-controls button.active {
+          border-color: var(--primary-color);
+          background: var(--primary-color);
+          color: var(--text-primary-color, #fff);
+        }
+
+        .expanded-controls select {
+          margin-left: auto;
+        }
+
+        .expanded-dialog .graph {
+          height: 240px;
+          cursor: grab;
+          touch-action: none;
+        }
+
+        .expanded-dialog .graph.loading {
+          opacity: 0.6;
+        }
+
+        .expanded-dialog .graph-line {
+          vector-effect: non-scaling-stroke;
+        }
+
+        .graph-gap-line {
+          stroke: var(--secondary-text-color);
+          stroke-width: 1.5;
+          opacity: 0.35;
+        }
+
+        .room {
+          background: var(--secondary-background-color);
+          border-radius: 10px;
+        }
+
+        .room-row {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          padding: 8px 12px;
+          cursor: pointer;
+        }
+
+        .room-name {
+          font-weight: 600;
+          font-size: 0.9em;
+          min-width: 80px;
+        }
+
+        .room-chips {
+          flex: 1;
+          display: flex;
+          flex-wrap: wrap;
+          gap: 4px;
+        }
+
+        .room-chip {
+          font-size: 0.75em;
+          font-weight: 600;
+          padding: 2px 6px;
+          border-radius: 4px;
+          white-space: nowrap;
+        }
+
+        .room-chip .unit {
+          font-weight: 400;
+          opacity: 0.8;
+          margin-left: 2px;
+        }
+
+        .room-chip-label {
+          font-weight: 400;
+          opacity: 0.8;
+        }
+
+        .room-status {
+          font-size: 0.75em;
+          font-weight: 500;
+          padding: 2px 6px;
+          border-radius: 4px;
+          white-space: nowrap;
+        }
+
+        .room-expand {
+          --mdc-icon-size: 20px;
+          color: var(--secondary-text-color);
+          transition: transform 0.2s;
+        }
+
+        .room.expanded .room-expand {
+          transform: rotate(180deg);
+        }
+
+        .room-graphs {
+          display: none;
+          flex-direction: column;
+          gap: 8px;
+          padding: 0 6px 6px;
+        }
+
+        .room.expanded .room-graphs {
+          display: flex;
+        }
+
+        .room-graphs .graph-container {
+          background: var(--card-background-color, var(--ha-card-background));
+        }
+
+        .graph.overlay-graph {
+          height: 80px;
+        }
+
+        .overlay-legend {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 10px;
+          font-size: 0.7em;
+          color: var(--secondary-text-color);
+          margin-top: 4px;
+        }
+
+        .overlay-legend i {
+          display: inline-block;
+          width: 10px;
+          height: 3px;
+          border-radius: 2px;
+          margin-right: 4px;
+          vertical-align: middle;
+        }
+
+        .no-data {
+          text-align: center;
+          padding: 20px;
+          color: var(--secondary-text-color);
+        }
+      </style>
+
+      <ha-card>
+        <div class="card">
+          <div class="header">
+            <span class="title">${this._config.name ?? this._t('card.name')}</span>
+            <div class="header-status">
+              ${this._config.alerts ? `<ha-icon class="alert-bell" id="alert-bell" icon="mdi:bell-outline" title="${this._t('alerts.log')}"></ha-icon>` : ''}
+              ${this._config.show_score ? `
+              <div class="score" id="score" title="${this._t('score.label')}">
+                <svg viewBox="0 0 36 36">
+                  <circle class="score-track" cx="18" cy="18" r="15.5" />
+                  <circle class="score-ring" id="score-ring" cx="18" cy="18" r="15.5" pathLength="100" stroke-dasharray="0 100" transform="rotate(-90 18 18)" />
+                </svg>
+                <span class="score-value" id="score-value">--</span>
+              </div>
+              ` : ''}
+              <div class="status-badge" id="status-badge">
+                <ha-icon id="status-icon" icon="mdi:leaf"></ha-icon>
+                <span id="status-text">${this._translateLabel('Good')}</span>
+              </div>
+            </div>
+            <div class="score-breakdown" id="score-breakdown" hidden></div>
+          </div>
+
+          ${this._config.alerts ? `
+          <div class="alert-banner" id="alert-banner" hidden>
+            <ha-icon icon="mdi:alert"></ha-icon>
+            <span class="alert-text" id="alert-text"></span>
+            <ha-icon class="alert-dismiss" id="alert-dismiss" icon="mdi:close" title="${this._t('alerts.dismiss')}"></ha-icon>
+          </div>
+          <div class="alert-log" id="alert-log" hidden></div>
+          ` : ''}
+
+          <div class="recommendation" id="recommendation">
+            <ha-icon id="rec-icon" icon="mdi:check-circle"></ha-icon>
+            <div class="recommendation-text">
+              <div class="recommendation-title" id="rec-title">${this._translateRecommendation('All Good')}</div>
+              <div class="recommendation-subtitle" id="rec-subtitle">${this._translateSubtitle('Air quality is within healthy limits')}</div>
+              <div class="recommendation-note" id="rec-note"></div>
+            </div>
+            <button class="rec-action" id="rec-action" hidden>
+              <ha-icon id="rec-action-icon"></ha-icon>
+              <span id="rec-action-text"></span>
+            </button>
+          </div>
+
+          ${this._multiRoom ? this._renderRooms() : `
+          <div class="graphs">
+            ${this._rooms[0].score ? this._renderScoreRow(this._rooms[0].score) : ''}
+            ${this._metrics.map(metric => this._renderMetricRow(metric)).join('')}
+          </div>
+          `}
+        </div>
+
+        <div class="expanded-dialog" id="expanded" hidden>
+          <div class="expanded-panel">
+            <div class="expanded-header">
+              <span class="expanded-title" id="expanded-title"></span>
+              <ha-icon class="expanded-close" id="expanded-close" icon="mdi:close"></ha-icon>
+            </div>
+            <div class="expanded-controls">
+              ${EXPANDED_PRESETS.map(({ label, hours }) => `<button class="expanded-preset" data-hours="${hours}">${label}</button>`).join('')}
+              <select class="expanded-overlay" id="expanded-overlay"></select>
+            </div>
+            <div class="graph-wrapper">
+              <div class="graph" id="expanded-graph">
+                <svg id="expanded-svg" viewBox="0 0 300 120" preserveAspectRatio="none"></svg>
+              </div>
+              <div class="graph-y-axis" id="expanded-y-axis"></div>
+              <div class="graph-y-axis secondary" id="expanded-y2-axis"></div>
+              <div class="graph-cursor" id="expanded-cursor"></div>
+              <div class="graph-tooltip" id="expanded-tooltip">
+                <div class="graph-tooltip-value"></div>
+                <div class="graph-tooltip-time"></div>
+              </div>
+            </div>
+            <div class="graph-time-axis" id="expanded-time-axis"></div>
+          </div>
+        </div>
+      </ha-card>
+    `;
+  }
+
+  _renderRooms() {
+    const overlayType = this._config.overlay_metric;
+    const overlayDef = METRICS.find(def => def.key === overlayType);
+    return `
+          <div class="graphs">
+            ${overlayDef ? `
+            <div class="graph-container overlay" id="overlay-graph-container">
+              <div class="graph-header">
+                <span class="graph-label">${this._translateLabel(overlayDef.label)} · ${this._t('rooms.all_rooms')}</span>
+              </div>
               <div class="graph-wrapper">
-                <div class="graph" id="tvoc-graph">
-                  <svg id="tvoc-svg" viewBox="0 0 300 50" preserveAspectRatio="none"></svg>
+                <div class="graph overlay-graph" id="overlay-graph">
+                  <svg id="overlay-svg" viewBox="0 0 300 80" preserveAspectRatio="none"></svg>
                 </div>
-                <div class="graph-cursor" id="tvoc-cursor"></div>
-                <div class="graph-tooltip" id="tvoc-tooltip">
+                <div class="graph-cursor" id="overlay-cursor"></div>
+                <div class="graph-tooltip" id="overlay-tooltip">
                   <div class="graph-tooltip-value"></div>
                   <div class="graph-tooltip-time"></div>
                 </div>
               </div>
-              <div class="graph-time-axis" id="tvoc-time-axis"></div>
+              <div class="graph-time-axis" id="overlay-time-axis"></div>
+              <div class="overlay-legend">
+                ${this._rooms.map((room, i) => `<span><i style="background: ${ROOM_COLORS[i % ROOM_COLORS.length]}"></i>${this._getRoomName(room)}</span>`).join('')}
+              </div>
             </div>
             ` : ''}
+            ${this._rooms.map((room, i) => `
+            <div class="room" id="room${i}">
+              <div class="room-row" data-room="${i}">
+                <span class="room-name">${this._getRoomName(room)}</span>
+                <div class="room-chips">
+                  ${room.metrics.map(metric => `<span class="room-chip" id="${metric.id}-chip"></span>`).join('')}
+                </div>
+                <span class="status room-status" id="room${i}-status"></span>
+                <ha-icon class="room-expand" icon="mdi:chevron-down"></ha-icon>
+              </div>
+              <div class="room-graphs">
+                ${room.score ? this._renderScoreRow(room.score) : ''}
+                ${room.metrics.map(metric => this._renderMetricRow(metric)).join('')}
+              </div>
+            </div>
+            `).join('')}
+          </div>
+    `;
+  }
 
-            ${showHumidity ? `
-            <div class="graph-container" id="humidity-graph-container" data-entity="${this._config.humidity_entity}">
+  _renderMetricRow(metric) {
+    const id = metric.id;
+    return `
+            <div class="graph-container" id="${id}-graph-container" data-entity="${metric.entity}">
               <div class="graph-header">
-                <span class="graph-label">Humidity</span>
-                <span class="graph-value" id="humidity-value">-- <span class="unit">%</span><span class="status" id="humidity-status"></span></span>
+                <span class="graph-label">${this._getLabel(metric)}<ha-icon class="graph-expand" id="${id}-expand" icon="mdi:arrow-expand" title="${this._t('graph.expand')}"></ha-icon></span>
+                <span class="graph-value" id="${id}-value">-- <span class="unit">${this._getUnit(metric)}</span><span class="status" id="${id}-status"></span></span>
               </div>
+              <div class="graph-trend" id="${id}-trend"></div>
+              <div class="graph-outdoor" id="${id}-outdoor"></div>
               <div class="graph-wrapper">
-                <div class="graph" id="humidity-graph">
-                  <svg id="humidity-svg" viewBox="0 0 300 50" preserveAspectRatio="none"></svg>
+                <div class="graph" id="${id}-graph">
+                  <svg id="${id}-svg" viewBox="0 0 300 50" preserveAspectRatio="none"></svg>
                 </div>
-                <div class="graph-cursor" id="humidity-cursor"></div>
-                <div class="graph-tooltip" id="humidity-tooltip">
+                <div class="graph-y-axis" id="${id}-y-axis"></div>
+                <div class="graph-markers" id="${id}-markers"></div>
+                <div class="graph-cursor" id="${id}-cursor"></div>
+                <div class="graph-tooltip" id="${id}-tooltip">
                   <div class="graph-tooltip-value"></div>
                   <div class="graph-tooltip-time"></div>
                 </div>
               </div>
-              <div class="graph-time-axis" id="humidity-time-axis"></div>
+              <div class="graph-time-axis" id="${id}-time-axis"></div>
+              <div class="graph-stats" id="${id}-stats"></div>
             </div>
-            ` : ''}
+    `;
+  }
 
-            ${showTemp ? `
-            <div class="graph-container" id="temperature-graph-container" data-entity="${this._config.temperature_entity}">
+  // Graph of the IAQ score, without an entity to open or expand
+  _renderScoreRow(metric) {
+    const id = metric.id;
+    return `
+            <div class="graph-container" id="${id}-graph-container">
               <div class="graph-header">
-                <span class="graph-label">Temperature</span>
-                <span class="graph-value" id="temperature-value">-- <span class="unit">${this._getTempUnit()}</span><span class="status" id="temperature-status"></span></span>
+                <span class="graph-label">${this._t('score.label')}</span>
+                <span class="graph-value" id="${id}-value">--<span class="status" id="${id}-status"></span></span>
               </div>
               <div class="graph-wrapper">
-                <div class="graph" id="temperature-graph">
-                  <svg id="temperature-svg" viewBox="0 0 300 50" preserveAspectRatio="none"></svg>
+                <div class="graph" id="${id}-graph">
+                  <svg id="${id}-svg" viewBox="0 0 300 50" preserveAspectRatio="none"></svg>
                 </div>
-                <div class="graph-cursor" id="temperature-cursor"></div>
-                <div class="graph-tooltip" id="temperature-tooltip">
+                <div class="graph-y-axis" id="${id}-y-axis"></div>
+                <div class="graph-cursor" id="${id}-cursor"></div>
+                <div class="graph-tooltip" id="${id}-tooltip">
                   <div class="graph-tooltip-value"></div>
                   <div class="graph-tooltip-time"></div>
                 </div>
               </div>
-              <div class="graph-time-axis" id="temperature-time-axis"></div>
+              <div class="graph-time-axis" id="${id}-time-axis"></div>
             </div>
-            ` : ''}
-          </div>
-        </div>
-      </ha-card>
     `;
   }
 
   _updateStates() {
     if (!this._hass || !this._rendered) return;
 
-    const co2 = this._config.co2_entity ? this._getNumericState(this._config.co2_entity) : null;
-    const pm25 = this._config.pm25_entity ? this._getNumericState(this._config.pm25_entity) : null;
-    const hcho = this._config.hcho_entity ? this._getNumericState(this._config.hcho_entity) : null;
-    const tvoc = this._config.tvoc_entity ? this._getNumericState(this._config.tvoc_entity) : null;
-    const humidity = this._config.humidity_entity ? this._getNumericState(this._config.humidity_entity) : null;
-    const temp = this._config.temperature_entity ? this._getNumericState(this._config.temperature_entity) : null;
-    const recommendation = this._getRecommendation();
-    const overall = this._getOverallStatus();
+    // With several rooms, the header shows the worst room
+    const statuses = this._rooms.map(room => this._getOverallStatus(room));
+    const overall = statuses.reduce((a, b) => (b.level > a.level ? b : a));
+    const recommendations = this._rooms.map(room => this._getRecommendation(room));
+    let recRoomIndex = 0;
+    recommendations.forEach((rec, i) => {
+      if ((rec?.severity ?? -1) > (recommendations[recRoomIndex]?.severity ?? -1)) recRoomIndex = i;
+    });
+    const recommendation = recommendations[recRoomIndex];
+    const recRoom = this._rooms[recRoomIndex];
 
     // Update status badge
     const statusBadge = this.shadowRoot.getElementById('status-badge');
@@ -717,245 +3449,1143 @@ class AirQualityCard extends HTMLElement {
     const recContainer = this.shadowRoot.getElementById('recommendation');
 
     if (recIcon && recommendation) {
-      recIcon.setAttribute('icon', this._getRecommendationIcon(recommendation));
-      recTitle.textContent = recommendation;
-
-      let subtitle = '';
-      if (recommendation === 'All Good') {
-        subtitle = 'Air quality is within healthy limits';
-      } else if (recommendation === 'Run Air Purifier' && pm25 !== null) {
-        subtitle = `PM2.5 at ${pm25.toFixed(0)} μg/m³ - filter the air`;
-      } else if (recommendation === 'Open Window' && co2 !== null) {
-        subtitle = `CO₂ at ${Math.round(co2)} ppm - fresh air needed`;
-      } else if (recommendation === 'Air Purifier + Ventilate' && co2 !== null && pm25 !== null) {
-        subtitle = `CO₂: ${Math.round(co2)} ppm, PM2.5: ${pm25.toFixed(0)} μg/m³`;
-      } else if (recommendation === 'Ventilate Now' && co2 !== null) {
-        subtitle = `CO₂ at ${Math.round(co2)} ppm - may affect focus`;
-      } else if (recommendation === 'Too Dry' && humidity !== null) {
-        subtitle = `Humidity at ${Math.round(humidity)}% - consider humidifier`;
-      } else if (recommendation === 'Too Humid' && humidity !== null) {
-        subtitle = `Humidity at ${Math.round(humidity)}% - ventilate`;
-      } else if (recommendation === 'Consider Ventilating') {
-        if (co2 !== null && co2 > 800) subtitle = `CO₂ at ${Math.round(co2)} ppm`;
-        else if (pm25 !== null && pm25 > 15) subtitle = `PM2.5 at ${pm25.toFixed(0)} μg/m³`;
-        else subtitle = 'Slightly elevated levels';
-      }
-      recSubtitle.textContent = subtitle;
+      recIcon.setAttribute('icon', recommendation.icon);
+      recTitle.textContent = this._translateRecommendation(recommendation.title);
 
-      const isGood = recommendation === 'All Good';
-      const isPoor = ['Run Air Purifier', 'Open Window', 'Ventilate Now', 'Air Purifier + Ventilate'].includes(recommendation);
+      const subtitle = recommendation.subtitle;
+      recSubtitle.textContent = this._multiRoom && recommendation.severity > 0 ? `${this._getRoomName(recRoom)} · ${subtitle}` : subtitle;
+
+      const severity = recommendation.severity;
+      const isGood = severity === 0;
+      const isPoor = severity === 2;
       recIcon.style.color = isGood ? 'var(--aq-excellent)' : (isPoor ? 'var(--aq-poor)' : 'var(--aq-moderate)');
       recContainer.style.background = isGood ?
         'rgba(76, 175, 80, 0.1)' : (isPoor ? 'rgba(255, 152, 0, 0.15)' : 'rgba(255, 193, 7, 0.1)');
     }
 
-    // Update CO2
-    if (co2 !== null) {
-      const co2Color = this._getCO2Color(co2);
-      const co2ValueEl = this.shadowRoot.getElementById('co2-value');
-      const co2StatusEl = this.shadowRoot.getElementById('co2-status');
-      if (co2ValueEl) {
-        co2ValueEl.innerHTML = `${Math.round(co2)} <span class="unit">ppm</span><span class="status" id="co2-status"></span>`;
-        const statusEl = co2ValueEl.querySelector('.status');
-        statusEl.textContent = co2 < 800 ? 'Excellent' : co2 < 1000 ? 'Good' : co2 < 1500 ? 'Elevated' : 'Poor';
-        statusEl.style.background = co2Color + '22';
-        statusEl.style.color = co2Color;
-        co2ValueEl.style.color = co2Color;
+    this._updateRecommendationAction(recommendation?.title, recRoom);
+
+    const recNote = this.shadowRoot.getElementById('rec-note');
+    if (recNote) recNote.textContent = this._getAssessmentNote();
+
+    if (this._multiRoom) {
+      this._rooms.forEach((room, i) => {
+        const statusEl = this.shadowRoot.getElementById(`room${i}-status`);
+        if (!statusEl) return;
+        statusEl.textContent = statuses[i].status;
+        statusEl.style.background = statuses[i].color + '22';
+        statusEl.style.color = statuses[i].color;
+      });
+    }
+
+    this._metrics.forEach(metric => this._updateMetric(metric));
+    const score = this._updateScore();
+    this._updateAlerts();
+
+    this._publishResults({
+      status: overall.label,
+      score: score ? Math.round(score.score) : null,
+      recommendation: recommendation?.title ?? null,
+      room: this._multiRoom && recommendation?.severity > 0 ? this._getRoomName(recRoom) : null
+    });
+  }
+
+  // Ring in the header for the lowest-scoring room, its breakdown and the
+  // current value above each score graph. Returns the lowest score.
+  _updateScore() {
+    const scores = this._rooms.map(room => this._getScore(room));
+    scores.forEach((result, i) => {
+      const metric = this._rooms[i].score;
+      const valueEl = metric && this.shadowRoot.getElementById(`${metric.id}-value`);
+      if (!valueEl) return;
+      const band = result ? this._getBand(metric, result.score) : null;
+      valueEl.innerHTML = `${result ? this._formatNumber(result.score, 0) : '--'}<span class="status" id="${metric.id}-status"></span>`;
+      valueEl.style.color = band?.color || '#9e9e9e';
+      const statusEl = valueEl.querySelector('.status');
+      statusEl.textContent = band ? this._translateLabel(band.label) : this._t('state.unavailable');
+      statusEl.style.background = (band?.color || '#9e9e9e') + '22';
+      statusEl.style.color = band?.color || '#9e9e9e';
+    });
+
+    let index = -1;
+    scores.forEach((result, i) => {
+      if (result && (index === -1 || result.score < scores[index].score)) index = i;
+    });
+    const result = scores[index] || null;
+    const ring = this.shadowRoot.getElementById('score-ring');
+    if (!ring) return result;
+    const band = result ? this._getBand({ thresholds: SCORE_THRESHOLDS }, result.score) : null;
+    const color = band?.color || '#9e9e9e';
+    ring.setAttribute('stroke-dasharray', `${result ? result.score : 0} 100`);
+    ring.style.stroke = color;
+    const valueEl = this.shadowRoot.getElementById('score-value');
+    valueEl.textContent = result ? this._formatNumber(result.score, 0) : '--';
+    valueEl.style.color = color;
+
+    // Metrics that cost the most points first
+    const breakdown = this.shadowRoot.getElementById('score-breakdown');
+    const room = this._rooms[index];
+    const title = [this._t('score.label'), this._multiRoom && room ? this._getRoomName(room) : null, band ? this._translateLabel(band.label) : null]
+      .filter(Boolean).join(' · ');
+    breakdown.innerHTML = `<div class="score-breakdown-title">${title}</div>` + (result ? [...result.parts]
+      .sort((a, b) => b.loss - a.loss)
+      .map(({ metric, value, loss }) => `
+        <div class="score-breakdown-row">
+          <span>${this._getLabel(metric)}</span>
+          <span style="color: ${this._getColor(metric, value)}">${this._formatValue(metric, value)} ${this._getUnit(metric)}</span>
+          <span class="score-breakdown-loss">${loss >= 0.5 ? this._t('score.points', { points: this._formatNumber(loss, 0) }) : '✓'}</span>
+        </div>
+      `).join('') : '');
+    return result;
+  }
+
+  _getAlertConfig() {
+    const alerts = this._config.alerts;
+    if (!alerts) return null;
+    return { ...ALERT_DEFAULTS, ...(alerts === true ? {} : alerts) };
+  }
+
+  // `alerts.metrics` picks metrics by key or type; by default every metric
+  // with thresholds can alert
+  _getAlertMetrics(alerts) {
+    return this._metrics.filter(metric => this._getThresholds(metric).length &&
+      (!alerts.metrics || alerts.metrics.includes(metric.key) || alerts.metrics.includes(metric.type)));
+  }
+
+  // An alert is raised once a metric has been at `alerts.level` or above for
+  // `min_duration` minutes, and again if it climbs to a higher level. It
+  // clears once the value is `hysteresis` past the boundary, so a reading
+  // hovering at the threshold doesn't flap.
+  _updateAlerts() {
+    const alerts = this._getAlertConfig();
+    if (!alerts) return;
+
+    const now = Date.now();
+    const raised = [];
+    this._getAlertMetrics(alerts).forEach(metric => {
+      const value = this._getMetricValue(metric);
+      if (value === null) return;
+      const active = this._alertStates.get(metric.id);
+      const band = this._getLevelBand(metric, value);
+      const level = band?.level ?? 0;
+
+      if (level >= alerts.level) {
+        if (active && level <= active.level) return;
+        const held = v => v !== null && this._getLevel(metric, v) >= alerts.level;
+        if (!active && alerts.min_duration && !this._heldFor(metric, held, alerts.min_duration)) return;
+        const alert = { metric, level, since: active?.since ?? now };
+        this._alertStates.set(metric.id, alert);
+        raised.push(alert);
+        this._logAlert({ time: now, metric, band, value, raised: true });
+      } else if (active) {
+        const [min, max] = this._getRange(metric);
+        const span = min !== undefined && max !== undefined ? max - min : Math.abs(value);
+        const margin = (alerts.hysteresis / 100) * span;
+        if (this._getLevel(metric, value - margin) >= alerts.level || this._getLevel(metric, value + margin) >= alerts.level) return;
+        this._alertStates.delete(metric.id);
+        this._logAlert({ time: now, metric, band, value, raised: false });
+      }
+    });
+
+    if (raised.length) {
+      this._alertsDismissed = false;
+      if (alerts.notification) this._showAlertNotification(raised);
+      if (alerts.sound) this._playAlertSound();
+    }
+    this._renderAlerts();
+  }
+
+  _logAlert(entry) {
+    const { log_size: size } = this._getAlertConfig();
+    this._alertLog.unshift(entry);
+    this._alertLog.length = Math.min(this._alertLog.length, size);
+  }
+
+  _getAlertName(metric) {
+    const label = this._getLabel(metric);
+    return this._multiRoom ? `${this._getRoomName(this._rooms.find(r => r.metrics.includes(metric)))} ${label}` : label;
+  }
+
+  // "CO₂ 1,620 ppm · Poor" with the value in effect now
+  _formatAlert(metric, value = this._getMetricValue(metric)) {
+    if (value === null) return `${this._getAlertName(metric)} --`;
+    const band = this._getBand(metric, value);
+    return `${this._getAlertName(metric)} ${this._formatValue(metric, value)} ${this._getUnit(metric)} · ${this._translateLabel(band?.label ?? '')}`;
+  }
+
+  _renderAlerts() {
+    const banner = this.shadowRoot.getElementById('alert-banner');
+    const log = this.shadowRoot.getElementById('alert-log');
+    if (!banner || !log) return;
+
+    const active = [...this._alertStates.values()].sort((a, b) => b.level - a.level);
+    banner.hidden = !active.length || this._alertsDismissed;
+    if (active.length) {
+      const value = this._getMetricValue(active[0].metric);
+      const color = (value !== null && this._getColor(active[0].metric, value)) || '#9e9e9e';
+      banner.style.background = color + '22';
+      banner.style.color = color;
+      this.shadowRoot.getElementById('alert-text').textContent = active.map(({ metric }) => this._formatAlert(metric)).join(' · ');
+    }
+    this.shadowRoot.getElementById('alert-bell')?.classList.toggle('active', active.length > 0);
+
+    const time = entry => this._formatDate(entry.time, { hour: 'numeric', minute: '2-digit' });
+    log.innerHTML = `<div class="alert-log-title">${this._t('alerts.log')}</div>` + (this._alertLog.length
+      ? this._alertLog.map(entry => `
+        <div class="alert-log-row">
+          <span class="alert-log-time">${time(entry)}</span>
+          <span style="color: ${entry.band?.color || 'inherit'}">${entry.raised
+            ? this._formatAlert(entry.metric, entry.value)
+            : this._t('alerts.cleared', { metric: this._getAlertName(entry.metric), label: this._translateLabel(entry.band?.label ?? '') })}</span>
+        </div>
+      `).join('')
+      : `<div>${this._t('alerts.empty')}</div>`);
+  }
+
+  // Through the service worker where there is one: Android Chrome and
+  // WebViews throw on `new Notification()`. Failures only warn, so they never
+  // interrupt the state update that raised the alert.
+  _showAlertNotification(alerts) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    const title = this._config.name ?? this._t('card.name');
+    alerts.forEach(({ metric }) => {
+      const options = { body: this._formatAlert(metric), tag: `air-quality-card-${metric.id}` };
+      Promise.resolve(navigator.serviceWorker?.getRegistration())
+        .then(registration => {
+          if (registration) return registration.showNotification(title, options);
+          new Notification(title, options);
+          return undefined;
+        })
+        .catch(e => console.warn('Air Quality Card: Failed to show notification:', e));
+    });
+  }
+
+  // Two short beeps
+  _playAlertSound() {
+    const context = this._getAudioContext();
+    if (!context) return;
+    [0, 0.3].forEach(offset => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = ALERT_BEEP_FREQUENCY;
+      gain.gain.value = 0.2;
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(context.currentTime + offset);
+      oscillator.stop(context.currentTime + offset + 0.15);
+    });
+  }
+
+  _getAudioContext() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return null;
+    this._audioContext = this._audioContext || new AudioContext();
+    if (this._audioContext.state === 'suspended') {
+      this._audioContext.resume().catch(e => console.warn('Air Quality Card: Failed to resume audio:', e));
+    }
+    return this._audioContext;
+  }
+
+  // Writes the results to the `publish` helpers and fires the event once they
+  // change, after a random delay so several open dashboards don't all write
+  _publishResults(values) {
+    const publish = this._config.publish;
+    if (!publish || !this._hass) return;
+    const key = JSON.stringify(values);
+    if (key === this._published) return;
+    this._published = key;
+    if (publish.event) this._subscribePublishEvent();
+
+    clearTimeout(this._publishTimer);
+    this._publishTimer = setTimeout(() => {
+      this._publishTimer = null;
+      this._writePublishHelpers(values);
+      if (publish.event) this._firePublishEvent(values);
+    }, Math.random() * PUBLISH_MAX_DELAY);
+  }
+
+  _writePublishHelpers(values) {
+    PUBLISH_HELPERS.forEach(({ option, field, domain }) => {
+      const entityId = this._config.publish[option];
+      const value = values[field];
+      if (!entityId || value === null) return;
+      // Skip helpers that already hold the value, e.g. from another dashboard
+      const current = this._hass.states[entityId]?.state;
+      if (domain === 'input_number' ? parseFloat(current) === value : current === value) return;
+      Promise.resolve(this._hass.callService(domain, 'set_value', { entity_id: entityId, value }))
+        .catch(e => console.warn(`Air Quality Card: Failed to publish to ${entityId}:`, e));
+    });
+  }
+
+  _getPublishEventType() {
+    return this._config.publish.event === true ? PUBLISH_EVENT : this._config.publish.event;
+  }
+
+  // The card's sensors; with its `name` they tell cards apart, so two cards
+  // left at the default name don't hold back each other's events
+  _getPublishEntities() {
+    return [...new Set(this._metrics.map(metric => metric.entity).filter(Boolean))].sort();
+  }
+
+  // Shared by every tab of this browser showing the same card
+  _getPublishStorageKey() {
+    return `air-quality-card:${this._getPublishEventType()}:${this._config.name ?? ''}:${this._getPublishEntities().join(',')}`;
+  }
+
+  // The event carries the card's `name` and `entities` so automations (and
+  // other dashboards showing the same card) can tell cards apart
+  _getPublishPayload(data) {
+    return JSON.stringify({
+      name: data.name ?? null,
+      entities: data.entities ?? null,
+      status: data.status ?? null,
+      score: data.score ?? null,
+      recommendation: data.recommendation ?? null,
+      room: data.room ?? null
+    });
+  }
+
+  // The last event for this card, fired here, by another tab (localStorage) or
+  // by another device (subscription)
+  _rememberPublishEvent(payload) {
+    this._lastPublishEvent = payload;
+    try {
+      localStorage.setItem(this._getPublishStorageKey(), payload);
+    } catch (e) {
+      // Storage can be unavailable, e.g. in private browsing
+    }
+  }
+
+  _subscribePublishEvent() {
+    if (this._publishUnsubscribe || !this._hass.connection?.subscribeEvents) return;
+    this._publishUnsubscribe = this._hass.connection.subscribeEvents(event => {
+      const sameCard = (event.data?.name ?? null) === (this._config.name ?? null)
+        && JSON.stringify(event.data?.entities ?? null) === JSON.stringify(this._getPublishEntities());
+      if (sameCard) this._rememberPublishEvent(this._getPublishPayload(event.data));
+    }, this._getPublishEventType());
+    this._publishUnsubscribe.catch(e => console.warn('Air Quality Card: Failed to subscribe to published events:', e));
+  }
+
+  _firePublishEvent(values) {
+    const payload = this._getPublishPayload({ name: this._config.name, entities: this._getPublishEntities(), ...values });
+    let last = this._lastPublishEvent;
+    try {
+      last = localStorage.getItem(this._getPublishStorageKey()) ?? last;
+    } catch (e) {
+      // Fall back to what this card saw
+    }
+    if (payload === last) return;
+    this._rememberPublishEvent(payload);
+    this._hass.callWS({ type: 'fire_event', event_type: this._getPublishEventType(), event_data: JSON.parse(payload) })
+      .catch(e => console.warn('Air Quality Card: Failed to fire event:', e));
+  }
+
+  // Unavailable and stale sensors across the card, e.g. "Partial
+  // assessment – unavailable: CO₂"; rooms prefix their name
+  _getAssessmentNote() {
+    const name = metric => {
+      const label = this._getLabel(metric);
+      return this._multiRoom ? `${this._getRoomName(this._rooms.find(r => r.metrics.includes(metric)))} ${label}` : label;
+    };
+    const missing = this._metrics.filter(metric => this._getMetricValue(metric) === null).map(name);
+    const stale = this._metrics.filter(metric => this._getStaleMinutes(metric) !== null).map(name);
+    return [
+      missing.length && missing.length < this._metrics.length ? this._t('assessment.partial', { metrics: missing.join(', ') }) : '',
+      stale.length ? this._t('assessment.stale', { metrics: stale.join(', ') }) : ''
+    ].filter(Boolean).join(' · ');
+  }
+
+  _updateMetric(metric) {
+    const valueEl = this.shadowRoot.getElementById(`${metric.id}-value`);
+    if (!valueEl) return;
+
+    // Unavailable sensors show "--" in grey rather than a made-up reading
+    const value = this._getMetricValue(metric);
+    const band = value !== null ? this._getBand(metric, value) : null;
+    const color = band?.color || '#9e9e9e';
+    const text = value !== null ? this._formatValue(metric, value) : '--';
+
+    // Compact chip in the room row
+    const chipEl = this.shadowRoot.getElementById(`${metric.id}-chip`);
+    if (chipEl) {
+      chipEl.innerHTML = `<span class="room-chip-label">${this._getLabel(metric)}</span> ${text}<span class="unit">${this._getUnit(metric)}</span>`;
+      chipEl.style.color = color;
+      chipEl.style.background = color + '1a';
+    }
+
+    const trend = this._config.show_trend && value !== null ? this._getTrend(metric) : null;
+    const trendIcon = trend ? `<ha-icon class="trend-icon" icon="${TREND_ICONS[trend.direction]}"></ha-icon>` : '';
+    const staleMinutes = this._getStaleMinutes(metric);
+    const staleIcon = staleMinutes !== null
+      ? `<ha-icon class="stale-icon" icon="mdi:clock-alert-outline" title="${this._t('state.stale', { age: this._formatDuration(staleMinutes) })}"></ha-icon>`
+      : '';
+    valueEl.innerHTML = `${text} <span class="unit">${this._getUnit(metric)}</span>${trendIcon}${staleIcon}<span class="status" id="${metric.id}-status"></span>`;
+    const statusEl = valueEl.querySelector('.status');
+    const aqi = metric.type === 'pm25' && value !== null ? this._getAQI(value) : null;
+    const label = value === null ? this._t('state.unavailable') : (band?.label ? this._translateLabel(band.label) : '');
+    statusEl.textContent = aqi !== null ? `AQI ${aqi} · ${label}` : label;
+    statusEl.style.background = color + '22';
+    statusEl.style.color = color;
+    valueEl.style.color = color;
+
+    const trendEl = this.shadowRoot.getElementById(`${metric.id}-trend`);
+    if (trendEl) trendEl.textContent = trend ? this._formatTrend(metric, value, trend) : '';
+
+    const outdoorEl = this.shadowRoot.getElementById(`${metric.id}-outdoor`);
+    if (outdoorEl) outdoorEl.textContent = this._formatOutdoor(metric, value);
+  }
+
+  // "Outside 5 °C · −17 °C vs. inside" for metrics with an outdoor sensor,
+  // plus absolute humidity on both sides for humidity
+  _formatOutdoor(metric, value) {
+    const room = this._rooms.find(r => r.metrics.includes(metric));
+    const outdoor = metric.type ? this._findMetric(metric.type, room.outdoor) : null;
+    const outside = outdoor ? this._getMetricValue(outdoor) : null;
+    if (outside === null) return '';
+
+    const unit = this._getUnit(metric);
+    const parts = [this._t('outdoor.value', { value: `${this._formatValue(outdoor, outside)} ${unit}` })];
+    if (value !== null) {
+      const step = 10 ** -metric.decimals;
+      const delta = Math.round((outside - value) / step) * step;
+      const sign = delta > 0 ? '+' : (delta < 0 ? '−' : '±');
+      parts.push(this._t('outdoor.delta', { delta: `${sign}${this._formatValue(metric, Math.abs(delta))} ${unit}` }));
+    }
+    if (metric.type === 'humidity') {
+      const indoorHumidity = this._getAbsoluteHumidity(room.metrics);
+      const outdoorHumidity = this._getAbsoluteHumidity(room.outdoor);
+      if (indoorHumidity !== null && outdoorHumidity !== null) {
+        parts.push(this._t('outdoor.absolute_humidity', { outdoor: this._formatNumber(outdoorHumidity, 1), indoor: this._formatNumber(indoorHumidity, 1) }));
       }
     }
+    return parts.join(' · ');
+  }
+
+  // Least-squares slope over the last `trend_minutes` of raw states, in the
+  // metric's unit per hour. States hold until the next change, so the value
+  // in effect at the start of the window and now are included as samples.
+  _getTrend(metric) {
+    const series = this._getLiveSeries(metric);
+    if (!series?.length || series[series.length - 1].value === null) return null;
+
+    const end = Date.now();
+    const start = end - this._config.trend_minutes * 60 * 1000;
+    const samples = [{ time: end, value: series[series.length - 1].value }];
+    for (let i = series.length - 1; i >= 0; i--) {
+      const point = series[i];
+      if (point.time < start) {
+        if (point.value !== null) samples.push({ time: start, value: point.value });
+        break;
+      }
+      if (point.value !== null) samples.push(point);
+    }
+    if (samples.length < 2 || end - samples[samples.length - 1].time <= 0) return null;
+
+    const xs = samples.map(p => (p.time - end) / 3600000);
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = samples.reduce((a, p) => a + p.value, 0) / samples.length;
+    let num = 0;
+    let den = 0;
+    samples.forEach((p, i) => {
+      num += (xs[i] - meanX) * (p.value - meanY);
+      den += (xs[i] - meanX) ** 2;
+    });
+    if (!den) return null;
+    const rate = num / den;
+
+    const [min, max] = this._getRange(metric);
+    const scale = min !== undefined && max !== undefined ? max - min : Math.abs(meanY);
+    const change = Math.abs(rate) * this._config.trend_minutes / 60;
+    const steady = change < Math.max(scale * TREND_STEADY_FRACTION, 10 ** -metric.decimals);
+    return { rate, direction: steady ? 'steady' : (rate > 0 ? 'up' : 'down') };
+  }
+
+  // "+120 ppm/h", plus "~25 min until 1000 ppm" when heading for the next band
+  _formatTrend(metric, value, trend) {
+    const unit = this._getUnit(metric);
+    const rate = trend.direction === 'steady' ? 0 : trend.rate;
+    const text = `${rate > 0 ? '+' : (rate < 0 ? '−' : '±')}${this._formatNumber(Math.abs(rate), metric.decimals)} ${unit}/h`;
+    if (!this._config.show_time_to_threshold || trend.direction === 'steady') return text;
+
+    // Next band boundary in the direction of travel
+    const bands = this._getThresholds(metric);
+    const index = bands.indexOf(this._getBand(metric, value));
+    const boundary = trend.direction === 'up' ? bands[index]?.max : bands[index - 1]?.max;
+    if (boundary === undefined) return text;
+
+    const hours = (boundary - value) / trend.rate;
+    if (hours <= 0 || hours > TREND_MAX_ETA_HOURS) return text;
+    const eta = this._formatDuration(hours * 60);
+    return `${text} · ${this._t('trend.until', { eta, value: this._formatNumber(boundary), unit })}`;
+  }
+
+  // "25 min", "3 h 10 min" or "4 d"
+  _formatDuration(minutes) {
+    const rounded = Math.max(1, Math.round(minutes));
+    if (rounded < 60) return this._t('duration.minutes', { minutes: rounded });
+    if (rounded < 48 * 60) return this._t('duration.hours', { hours: Math.floor(rounded / 60), minutes: rounded % 60 });
+    return this._t('duration.days', { days: Math.floor(rounded / (24 * 60)) });
+  }
+
+  _renderGraphs() {
+    this._graphData = {};
+    this._lastGraphRender = Date.now();
+
+    this._metrics.forEach(metric => {
+      const data = this._history[metric.id];
+      if (!data?.length) return;
+      const [minVal, maxVal] = this._getRange(metric);
+      this._renderGraph(metric.id, data, v => this._getColor(metric, v), minVal, maxVal, this._getUnit(metric), metric.decimals, {
+        yAxis: this._getYAxisMode(metric),
+        thresholds: this._getThresholds(metric)
+      });
+      if (this._config.show_stats) this._renderStats(metric, data);
+    });
+
+    this._rooms.forEach(room => {
+      if (!room.score) return;
+      const data = this._getScoreHistory(room);
+      if (!data.length) return;
+      this._renderGraph(room.score.id, data, v => this._getColor(room.score, v), 0, 100, '', 0, {
+        yAxis: 'fixed',
+        thresholds: SCORE_THRESHOLDS
+      });
+    });
+
+    if (this._multiRoom && this._config.overlay_metric) this._renderOverlayGraph();
+    if (this._expanded) this._renderExpanded();
+  }
+
+  // One line per room for the overlay metric on a shared scale
+  _renderOverlayGraph() {
+    const svg = this.shadowRoot.getElementById('overlay-svg');
+    const timeAxis = this.shadowRoot.getElementById('overlay-time-axis');
+    if (!svg) return;
+
+    const width = 300;
+    const height = 80;
+    const padding = 2;
+    const end = Date.now();
+    const start = end - (this._config.hours_to_show * 60 * 60 * 1000);
+    const toX = time => padding + ((Math.min(Math.max(time, start), end) - start) / (end - start)) * (width - 2 * padding);
+    const pixelWidth = Math.round(svg.getBoundingClientRect().width) || width;
+
+    const series = [];
+    this._rooms.forEach((room, i) => {
+      const metric = this._findMetric(this._config.overlay_metric, room.metrics);
+      const data = metric ? this._history[metric.id] : null;
+      if (!data?.length) return;
+      const runs = this._splitRuns(data, end).map(run => this._decimate(run, pixelWidth));
+      const points = runs.flat()
+        .concat(this._findGaps(data, end).map(([time]) => ({ time, value: null })))
+        .sort((a, b) => a.time - b.time);
+      series.push({ name: this._getRoomName(room), color: ROOM_COLORS[i % ROOM_COLORS.length], metric, runs, points });
+    });
+    if (!series.length) return;
+
+    const [minVal, maxVal] = this._getRange(series[0].metric);
+    let dataMin = minVal ?? Infinity;
+    let dataMax = maxVal ?? -Infinity;
+    series.forEach(({ runs }) => runs.forEach(run => run.forEach(d => {
+      dataMin = Math.min(dataMin, d.value);
+      dataMax = Math.max(dataMax, d.value);
+    })));
+    const range = dataMax - dataMin || 1;
+    const toY = value => height - padding - ((value - dataMin) / range) * (height - 2 * padding);
+
+    svg.innerHTML = series.map(({ runs, color }) => {
+      const path = runs.map(run => `M ${run.map(d => `${toX(d.time)} ${toY(d.value)}`).join(' L ')}`).join(' ');
+      return `<path d="${path}" stroke="${color}" class="graph-line" fill="none" />`;
+    }).join('');
 
-    // Update PM2.5
-    if (pm25 !== null) {
-      const pm25Color = this._getPM25Color(pm25);
-      const pm25ValueEl = this.shadowRoot.getElementById('pm25-value');
-      if (pm25ValueEl) {
-        pm25ValueEl.innerHTML = `${pm25.toFixed(1)} <span class="unit">μg/m³</span><span class="status" id="pm25-status"></span>`;
-        const statusEl = pm25ValueEl.querySelector('.status');
-        statusEl.textContent = pm25 < 5 ? 'Excellent' : pm25 < 15 ? 'Good' : pm25 < 25 ? 'Moderate' : pm25 < 35 ? 'Elevated' : 'Poor';
-        statusEl.style.background = pm25Color + '22';
-        statusEl.style.color = pm25Color;
-        pm25ValueEl.style.color = pm25Color;
+    this._graphData.overlay = {
+      series: series.map(({ name, color, metric, points }) => ({ name, color, metric, points })),
+      start,
+      end
+    };
+    if (timeAxis) this._renderTimeAxis(timeAxis, start, end);
+  }
+
+  _renderGraph(graphId, data, colorFn, minVal, maxVal, unit, decimals, {
+    yAxis = null, thresholds = [], start = null, end = null, height = 50, showYAxis = this._config.show_y_axis
+  } = {}) {
+    const svg = this.shadowRoot.getElementById(`${graphId}-svg`);
+    const timeAxis = this.shadowRoot.getElementById(`${graphId}-time-axis`);
+    if (!svg || !data.length) return;
+
+    const width = 300;
+    const padding = 2;
+
+    // Points are placed by timestamp across the whole requested window
+    end = end ?? Date.now();
+    start = start ?? end - (this._config.hours_to_show * 60 * 60 * 1000);
+    const toX = time => padding + ((Math.min(Math.max(time, start), end) - start) / (end - start)) * (width - 2 * padding);
+
+    // Dense series are thinned to about one point per pixel before any paths
+    // or gradients are built
+    const pixelWidth = Math.round(svg.getBoundingClientRect().width) || width;
+    const runs = this._splitRuns(data, end).map(run => {
+      const share = (run[run.length - 1].time - run[0].time) / (end - start);
+      return this._decimate(run, Math.max(2, Math.round(pixelWidth * share)));
+    });
+    const gaps = this._findGaps(data, end);
+
+    const hasBand = data.some(d => d.min !== undefined || d.max !== undefined);
+    const fixed = yAxis === 'fixed' && minVal !== undefined && maxVal !== undefined;
+    let dataMin = yAxis === 'auto' ? Infinity : (minVal ?? Infinity);
+    let dataMax = yAxis === 'auto' ? -Infinity : (maxVal ?? -Infinity);
+    if (!fixed) {
+      runs.forEach(run => run.forEach(d => {
+        dataMin = Math.min(dataMin, d.value, d.min ?? d.value);
+        dataMax = Math.max(dataMax, d.value, d.max ?? d.value);
+      }));
+    }
+    if (!isFinite(dataMin) || !isFinite(dataMax)) {
+      dataMin = 0;
+      dataMax = 1;
+    }
+    if (dataMin === dataMax) {
+      dataMin -= 1;
+      dataMax += 1;
+    }
+    const range = dataMax - dataMin;
+    const toY = value => {
+      const clamped = Math.min(Math.max(value, dataMin), dataMax);
+      return height - padding - ((clamped - dataMin) / range) * (height - 2 * padding);
+    };
+
+    // Band backgrounds and dashed lines where each band ends, from the same
+    // thresholds that color the line
+    let bandRects = '';
+    let thresholdLines = '';
+    thresholds.forEach((band, i) => {
+      const lower = i > 0 ? thresholds[i - 1].max : -Infinity;
+      const upper = band.max ?? Infinity;
+      if (upper <= dataMin || lower >= dataMax) return;
+      if (this._config.show_bands) {
+        const top = toY(Math.min(upper, dataMax));
+        const bottom = toY(Math.max(lower, dataMin));
+        bandRects += `<rect x="0" y="${top}" width="${width}" height="${Math.max(bottom - top, 0)}" fill="${band.color}" class="graph-band" />`;
+      }
+      if (this._config.show_threshold_lines && band.max !== undefined && band.max > dataMin && band.max < dataMax) {
+        const y = toY(band.max);
+        const color = thresholds[i + 1]?.color || band.color;
+        thresholdLines += `<line x1="0" y1="${y}" x2="${width}" y2="${y}" stroke="${color}" class="graph-threshold-line" />`;
+      }
+    });
+
+    const yAxisEl = this.shadowRoot.getElementById(`${graphId}-y-axis`);
+    if (yAxisEl) {
+      yAxisEl.innerHTML = showYAxis
+        ? `<span>${this._formatNumber(dataMax, decimals)}</span><span>${this._formatNumber(dataMin, decimals)}</span>`
+        : '';
+    }
+
+    const toPoint = d => ({
+      x: toX(d.time), y: toY(d.value), value: d.value, min: d.min, max: d.max, time: d.time, color: colorFn(d.value)
+    });
+    const pointRuns = runs.map(run => run.map(toPoint));
+    const points = pointRuns.flat();
+
+    // The cursor looks up the state in effect at a time, so gaps are kept as
+    // null-valued points alongside the drawn ones
+    const cursorPoints = points
+      .concat(gaps.map(([time]) => ({ x: toX(time), y: null, value: null, time, color: '#9e9e9e' })))
+      .sort((a, b) => a.time - b.time);
+    this._graphData[graphId] = { points: cursorPoints, start, end, unit, decimals, colorFn, yMin: dataMin, yMax: dataMax };
+
+    const gradientId = `gradient-${graphId}-${Date.now()}`;
+    const gradientStops = points.length ? this._buildGradientStops(points, width)
+      .map(({ offset, color }) => `<stop offset="${offset}%" style="stop-color:${color}" />`)
+      .join('') : '';
+
+    const toPath = run => run.map(p => `${p.x} ${p.y}`).join(' L ');
+    const linePath = pointRuns.map(run => `M ${toPath(run)}`).join(' ');
+    const areaPath = pointRuns
+      .map(run => `M ${run[0].x} ${height} L ${toPath(run)} L ${run[run.length - 1].x} ${height} Z`)
+      .join(' ');
+    const fillGradientId = `fill-${graphId}-${Date.now()}`;
+
+    // Shaded min/max band for long-term statistics
+    let bandPath = '';
+    if (hasBand) {
+      bandPath = pointRuns.map(run => {
+        const upper = run.map(p => `${p.x} ${toY(p.max ?? p.value)}`);
+        const lower = run.map(p => `${p.x} ${toY(p.min ?? p.value)}`).reverse();
+        return `M ${upper.join(' L ')} L ${lower.join(' L ')} Z`;
+      }).join(' ');
+    }
+
+    // Hatched regions where the sensor was unavailable
+    const gapRects = gaps
+      .map(([from, to]) => `<rect x="${toX(from)}" y="0" width="${Math.max(toX(to) - toX(from), 0.5)}" height="${height}" fill="url(#hatch-${graphId})" />`)
+      .join('');
+
+    svg.innerHTML = `
+      <defs>
+        <linearGradient id="${gradientId}" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="${width}" y2="0">
+          ${gradientStops}
+        </linearGradient>
+        <linearGradient id="${fillGradientId}" x1="0%" y1="0%" x2="0%" y2="100%">
+          <stop offset="0%" style="stop-color:currentColor;stop-opacity:0.2" />
+          <stop offset="100%" style="stop-color:currentColor;stop-opacity:0.02" />
+        </linearGradient>
+        <pattern id="hatch-${graphId}" width="4" height="4" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">
+          <line x1="0" y1="0" x2="0" y2="4" class="graph-gap-line" />
+        </pattern>
+        <mask id="mask-${graphId}">
+          <path d="${areaPath}" fill="white" />
+        </mask>
+      </defs>
+      ${bandRects}
+      ${thresholdLines}
+      ${gapRects}
+      ${points.length ? `
+      <rect x="0" y="0" width="${width}" height="${height}" fill="url(#${fillGradientId})" mask="url(#mask-${graphId})" style="color: url(#${gradientId})" />
+      ${bandPath ? `<path d="${bandPath}" fill="url(#${gradientId})" opacity="0.25" stroke="none" />` : ''}
+      <path d="${linePath}" stroke="url(#${gradientId})" class="graph-line" fill="none" />
+      ` : ''}
+    `;
+
+    if (timeAxis) this._renderTimeAxis(timeAxis, start, end);
+  }
+
+  // A metric's own `y_axis` wins over the card's, which is either one mode
+  // for all graphs or a mapping of metric key to mode
+  _getYAxisMode(metric) {
+    if (metric.y_axis) return metric.y_axis;
+    const yAxis = this._config.y_axis;
+    return (typeof yAxis === 'object' && yAxis ? yAxis[metric.key] : yAxis) || null;
+  }
+
+  // Min/max/mean/time-weighted average of the window under the graph, with
+  // markers on the extremes and, for CO₂ and PM2.5, the time spent per band
+  _renderStats(metric, data) {
+    const statsEl = this.shadowRoot.getElementById(`${metric.id}-stats`);
+    const markersEl = this.shadowRoot.getElementById(`${metric.id}-markers`);
+    const graph = this._graphData[metric.id];
+    if (!statsEl || !markersEl || !graph) return;
+
+    const stats = this._computeStats(metric, data, graph.start, graph.end);
+    if (!stats) {
+      statsEl.innerHTML = '';
+      markersEl.innerHTML = '';
+      return;
+    }
+
+    const unit = this._getUnit(metric);
+    const format = value => `${this._formatValue(metric, value)} ${unit}`;
+    const items = [
+      [this._t('stats.min'), format(stats.min.value)],
+      [this._t('stats.max'), format(stats.max.value)],
+      [this._t('stats.mean'), format(stats.mean)],
+      [this._t('stats.twa'), format(stats.twa)]
+    ];
+    let html = `<div class="stats-row">${items.map(([label, value]) => `<span><span class="stats-label">${label}</span> ${value}</span>`).join('')}</div>`;
+
+    if (stats.bands) {
+      const shares = stats.bands.filter(({ share }) => share > 0);
+      // Neighbouring bands can share a label (CO₂ is Excellent below 800 ppm
+      // in two colors), so the legend adds them up
+      const legend = shares.reduce((list, { band, share }) => {
+        const last = list[list.length - 1];
+        if (last && last.band.label === band.label) last.share += share;
+        else list.push({ band, share });
+        return list;
+      }, []);
+      html += `
+        <div class="band-bar">${shares.map(({ band, share }) => `<span style="width: ${share * 100}%; background: ${band.color}" title="${this._translateLabel(band.label || '')} ${this._formatNumber(share * 100, 0)}%"></span>`).join('')}</div>
+        <div class="stats-row band-shares">${legend.map(({ band, share }) => `<span><i style="background: ${band.color}"></i>${this._translateLabel(band.label || '')} ${this._formatNumber(share * 100, 0)}%</span>`).join('')}</div>
+      `;
+    }
+    statsEl.innerHTML = html;
+
+    const height = 50;
+    const padding = 2;
+    const range = graph.yMax - graph.yMin || 1;
+    const marker = (point, kind) => {
+      const left = Math.min(Math.max(((point.time - graph.start) / (graph.end - graph.start)) * 100, 0), 100);
+      const value = Math.min(Math.max(point.value, graph.yMin), graph.yMax);
+      const top = ((height - padding - ((value - graph.yMin) / range) * (height - 2 * padding)) / height) * 100;
+      const align = left > 75 ? 'right' : (left < 25 ? 'left' : 'center');
+      return `
+        <span class="graph-marker" style="left: ${left}%; top: ${top}%"></span>
+        <span class="graph-marker-label ${kind} ${align}" style="left: ${left}%; top: ${top}%">${this._formatValue(metric, point.value)} · ${this._formatTime(point.time)}</span>
+      `;
+    };
+    markersEl.innerHTML = marker(stats.max, 'max') + (stats.min.time !== stats.max.time ? marker(stats.min, 'min') : '');
+  }
+
+  // Each state holds until the next one, so the time-weighted average and
+  // band shares weigh values by how long they were in effect. Unavailable
+  // periods are left out. The state already in effect when the window began
+  // only sets the extremes and mean if nothing changed inside the window.
+  _computeStats(metric, data, start, end) {
+    let min = null;
+    let max = null;
+    let sum = 0;
+    let count = 0;
+    let weighted = 0;
+    let duration = 0;
+    const bands = ['co2', 'pm25'].includes(metric.type) ? this._getThresholds(metric) : null;
+    const bandTimes = bands ? bands.map(() => 0) : null;
+    let before = null;
+    const extremes = (d, time) => {
+      const low = d.min ?? d.value;
+      const high = d.max ?? d.value;
+      if (!min || low < min.value) min = { value: low, time };
+      if (!max || high > max.value) max = { value: high, time };
+      sum += d.value;
+      count++;
+    };
+
+    data.forEach((d, i) => {
+      if (d.time < start) before = d.value === null ? null : d;
+      if (d.value === null) return;
+      if (d.time >= start) extremes(d, d.time);
+
+      const from = Math.max(d.time, start);
+      const to = Math.min(data[i + 1]?.time ?? end, end);
+      if (to <= from) return;
+      weighted += d.value * (to - from);
+      duration += to - from;
+      if (bandTimes) bandTimes[bands.indexOf(this._getBand(metric, d.value))] += to - from;
+    });
+
+    if (!count && before) extremes(before, start);
+    if (!count) return null;
+    return {
+      min,
+      max,
+      mean: sum / count,
+      twa: duration ? weighted / duration : sum / count,
+      bands: bandTimes && duration ? bands.map((band, i) => ({ band, share: bandTimes[i] / duration })) : null
+    };
+  }
+
+  // Split a series into runs of available values. Each run holds its last
+  // value until the sensor became unavailable, or until `end`.
+  _splitRuns(data, end) {
+    const runs = [];
+    let run = null;
+    data.forEach(d => {
+      if (d.value === null) {
+        if (run) {
+          run.push({ ...run[run.length - 1], time: d.time });
+          runs.push(run);
+          run = null;
+        }
+        return;
+      }
+      if (!run) run = [];
+      run.push(d);
+    });
+    if (run) {
+      run.push({ ...run[run.length - 1], time: Math.max(end, run[run.length - 1].time) });
+      runs.push(run);
+    }
+    return runs;
+  }
+
+  // [from, to] time ranges during which the sensor was unavailable
+  _findGaps(data, end) {
+    const gaps = [];
+    let gapStart = null;
+    data.forEach(d => {
+      if (d.value === null) {
+        if (gapStart === null) gapStart = d.time;
+      } else if (gapStart !== null) {
+        gaps.push([gapStart, d.time]);
+        gapStart = null;
+      }
+    });
+    if (gapStart !== null) gaps.push([gapStart, end]);
+    return gaps;
+  }
+
+  // Labels on whole hours (or midnights for multi-day windows), at most four;
+  // the largest step (92 days) still fits a year into four
+  _renderTimeAxis(timeAxis, start, end) {
+    const hour = 60 * 60 * 1000;
+    const stepHours = [0.25, 0.5, 1, 2, 3, 6, 12, 24, 48, 72, 168, 336, 720, 1440, 2208]
+      .find(h => (end - start) / (h * hour) <= 4) || 2208;
+
+    const ticks = [];
+    const cursor = new Date(start);
+    cursor.setMinutes(0, 0, 0);
+    if (stepHours >= 24) {
+      cursor.setHours(0);
+      for (let day = 0; cursor.getTime() <= end; day++, cursor.setDate(cursor.getDate() + 1)) {
+        if (cursor.getTime() >= start && day % (stepHours / 24) === 0) ticks.push(new Date(cursor));
+      }
+    } else {
+      const stepMinutes = stepHours * 60;
+      for (; cursor.getTime() <= end; cursor.setMinutes(cursor.getMinutes() + Math.min(stepMinutes, 60))) {
+        const minuteOfDay = cursor.getHours() * 60 + cursor.getMinutes();
+        if (cursor.getTime() >= start && minuteOfDay % stepMinutes === 0) ticks.push(new Date(cursor));
+      }
+    }
+
+    timeAxis.innerHTML = ticks.map(tick => {
+      const pct = ((tick.getTime() - start) / (end - start)) * 100;
+      const label = stepHours >= 24 || tick.getHours() === 0
+        ? this._formatDate(tick, { month: 'short', day: 'numeric' })
+        : this._formatDate(tick, stepHours < 1 ? { hour: 'numeric', minute: '2-digit' } : { hour: 'numeric' });
+      // Keep the outermost labels inside the card
+      const shift = pct < 8 ? '0' : pct > 92 ? '-100%' : '-50%';
+      return `<span style="left: ${pct}%; transform: translateX(${shift})">${label}</span>`;
+    }).join('');
+  }
+
+  // Largest-Triangle-Three-Buckets: keeps the first and last point and, from
+  // each bucket in between, the point forming the largest triangle with its
+  // neighbours, which preserves peaks and dips far better than plain sampling
+  _decimate(data, threshold) {
+    if (data.length <= threshold || threshold < 3) return data;
+
+    const sampled = [data[0]];
+    const bucketSize = (data.length - 2) / (threshold - 2);
+    let a = 0;
+
+    for (let i = 0; i < threshold - 2; i++) {
+      // Average of the next bucket is the third triangle vertex
+      const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+      const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, data.length);
+      let avgTime = 0;
+      let avgValue = 0;
+      for (let j = nextStart; j < nextEnd; j++) {
+        avgTime += data[j].time;
+        avgValue += data[j].value;
+      }
+      const count = nextEnd - nextStart || 1;
+      avgTime /= count;
+      avgValue /= count;
+
+      const start = Math.floor(i * bucketSize) + 1;
+      const end = Math.floor((i + 1) * bucketSize) + 1;
+      let maxArea = -1;
+      let chosen = start;
+      for (let j = start; j < end; j++) {
+        const area = Math.abs(
+          (data[a].time - avgTime) * (data[j].value - data[a].value) -
+          (data[a].time - data[j].time) * (avgValue - data[a].value)
+        );
+        if (area > maxArea) {
+          maxArea = area;
+          chosen = j;
+        }
       }
-    }
 
-    // Update HCHO
-    if (hcho !== null) {
-      const hchoColor = this._getHCHOColor(hcho);
-      const hchoValueEl = this.shadowRoot.getElementById('hcho-value');
-      if (hchoValueEl) {
-        hchoValueEl.innerHTML = `${hcho.toFixed(1)} <span class="unit">ppb</span><span class="status" id="hcho-status"></span>`;
-        const statusEl = hchoValueEl.querySelector('.status');
-        statusEl.textContent = hcho < 20 ? 'Excellent' : hcho < 50 ? 'Good' : hcho < 100 ? 'Moderate' : hcho < 200 ? 'Elevated' : 'Poor';
-        statusEl.style.background = hchoColor + '22';
-        statusEl.style.color = hchoColor;
-        hchoValueEl.style.color = hchoColor;
-      }
+      sampled.push(data[chosen]);
+      a = chosen;
     }
 
-    // Update tVOC
-    if (tvoc !== null) {
-      const tvocColor = this._getTVOCColor(tvoc);
-      const tvocValueEl = this.shadowRoot.getElementById('tvoc-value');
-      if (tvocValueEl) {
-        tvocValueEl.innerHTML = `${tvoc.toFixed(1)} <span class="unit">ppb</span><span class="status" id="tvoc-status"></span>`;
-        const statusEl = tvocValueEl.querySelector('.status');
-        statusEl.textContent = tvoc < 100 ? 'Excellent' : tvoc < 300 ? 'Good' : tvoc < 500 ? 'Moderate' : tvoc < 1000 ? 'Elevated' : 'Poor';
-        statusEl.style.background = tvocColor + '22';
-        statusEl.style.color = tvocColor;
-        tvocValueEl.style.color = tvocColor;
-      }
-    }
+    sampled.push(data[data.length - 1]);
+    return sampled;
+  }
 
-    // Update Humidity
-    if (humidity !== null) {
-      const humidityColor = this._getHumidityColor(humidity);
-      const humidityValueEl = this.shadowRoot.getElementById('humidity-value');
-      if (humidityValueEl) {
-        humidityValueEl.innerHTML = `${Math.round(humidity)} <span class="unit">%</span><span class="status" id="humidity-status"></span>`;
-        const statusEl = humidityValueEl.querySelector('.status');
-        let humidityStatus = 'Comfortable';
-        if (humidity < 30) humidityStatus = 'Too Dry';
-        else if (humidity < 40) humidityStatus = 'Dry';
-        else if (humidity > 60) humidityStatus = 'Too Humid';
-        else if (humidity > 50) humidityStatus = 'Humid';
-        statusEl.textContent = humidityStatus;
-        statusEl.style.background = humidityColor + '22';
-        statusEl.style.color = humidityColor;
-        humidityValueEl.style.color = humidityColor;
+  // One stop at each end of every run of equal colors, thinned evenly when
+  // a series changes color more often than MAX_GRADIENT_STOPS allows
+  _buildGradientStops(points, width) {
+    const stops = [];
+    points.forEach((point, i) => {
+      const prev = points[i - 1];
+      const next = points[i + 1];
+      if (!prev || !next || prev.color !== point.color || next.color !== point.color) {
+        stops.push({ offset: (point.x / width) * 100, color: point.color });
       }
-    }
+    });
 
-    // Update Temperature
-    if (temp !== null) {
-      const tempColor = this._getTempColor(temp);
-      const tempUnit = this._getTempUnit();
-      const tempValueEl = this.shadowRoot.getElementById('temperature-value');
-      if (tempValueEl) {
-        tempValueEl.innerHTML = `${Math.round(temp)} <span class="unit">${tempUnit}</span><span class="status" id="temperature-status"></span>`;
-        const statusEl = tempValueEl.querySelector('.status');
-        let tempStatus = 'Comfortable';
-        if (this._isCelsius()) {
-          if (temp < 18) tempStatus = 'Cold';
-          else if (temp < 20) tempStatus = 'Cool';
-          else if (temp > 24) tempStatus = 'Hot';
-          else if (temp > 22) tempStatus = 'Warm';
-        } else {
-          if (temp < 65) tempStatus = 'Cold';
-          else if (temp < 68) tempStatus = 'Cool';
-          else if (temp > 76) tempStatus = 'Hot';
-          else if (temp > 72) tempStatus = 'Warm';
-        }
-        statusEl.textContent = tempStatus;
-        statusEl.style.background = tempColor + '22';
-        statusEl.style.color = tempColor;
-        tempValueEl.style.color = tempColor;
-      }
-    }
+    if (stops.length <= MAX_GRADIENT_STOPS) return stops;
+    const step = (stops.length - 1) / (MAX_GRADIENT_STOPS - 1);
+    return Array.from({ length: MAX_GRADIENT_STOPS }, (_, i) => stops[Math.round(i * step)]);
   }
 
-  _renderGraphs() {
-    this._graphData = {};
+  // Windows spanning more than a day need the date to be unambiguous
+  _formatTime(time, hours = this._config.hours_to_show) {
+    if (hours <= 24) return this._formatDate(time, { hour: 'numeric', minute: '2-digit' });
+    if (this._usesStatistics(hours)) return this._formatDate(time, { month: 'short', day: 'numeric' });
+    return this._formatDate(time, { weekday: 'short', hour: 'numeric', minute: '2-digit' });
+  }
 
-    if (this._config.co2_entity && this._history.co2.length) {
-      this._renderGraph('co2', this._history.co2, this._getCO2Color.bind(this), 400, 2000, 'ppm');
-    }
-    if (this._config.pm25_entity && this._history.pm25.length) {
-      this._renderGraph('pm25', this._history.pm25, this._getPM25Color.bind(this), 0, 60, 'μg/m³');
-    }
-    if (this._config.hcho_entity && this._history.hcho.length) {
-      this._renderGraph('hcho', this._history.hcho, this._getHCHOColor.bind(this), 0, 300, 'ppb');
-    }
-    if (this._config.tvoc_entity && this._history.tvoc.length) {
-      this._renderGraph('tvoc', this._history.tvoc, this._getTVOCColor.bind(this), 0, 1500, 'ppb');
-    }
-    if (this._config.humidity_entity && this._history.humidity.length) {
-      this._renderGraph('humidity', this._history.humidity, this._getHumidityColor.bind(this), 0, 100, '%');
-    }
-    if (this._config.temperature_entity && this._history.temperature.length) {
-      const tempUnit = this._getTempUnit();
-      const tempMin = this._isCelsius() ? 10 : 50;
-      const tempMax = this._isCelsius() ? 32 : 90;
-      this._renderGraph('temperature', this._history.temperature, this._getTempColor.bind(this), tempMin, tempMax, tempUnit);
+  _setupHeaderActions() {
+    const score = this.shadowRoot.getElementById('score');
+    const breakdown = this.shadowRoot.getElementById('score-breakdown');
+    if (score) {
+      score.addEventListener('click', (e) => {
+        e.stopPropagation();
+        breakdown.hidden = !breakdown.hidden;
+      });
+      breakdown.addEventListener('click', () => { breakdown.hidden = true; });
     }
 
-    this._setupGraphInteractions();
+    const title = this.shadowRoot.querySelector('.header .title');
+    const badge = this.shadowRoot.getElementById('status-badge');
+    const badgeDefaults = { tap_action: { action: this._config.air_quality_entity ? 'more-info' : 'none' } };
+    if (title) this._bindActions(title, this._getActions('header_', {}), null);
+    if (badge) this._bindActions(badge, this._getActions('badge_', badgeDefaults), this._config.air_quality_entity);
   }
 
-  _renderGraph(graphId, data, colorFn, minVal, maxVal, unit) {
-    const svg = this.shadowRoot.getElementById(`${graphId}-svg`);
-    const timeAxis = this.shadowRoot.getElementById(`${graphId}-time-axis`);
-    if (!svg || !data.length) return;
+  // `<prefix>tap_action` etc. from the config, falling back to `defaults`
+  _getActions(prefix, defaults, source = this._config) {
+    return Object.fromEntries(ACTION_GESTURES.map(gesture => [gesture, source[`${prefix}${gesture}`] ?? defaults[gesture]]));
+  }
 
-    const width = 300;
-    const height = 50;
-    const padding = 2;
+  // A metric's own actions win over `graph_actions.<key>`, then the card-wide
+  // actions. Tapping a graph opens its entity's more-info by default.
+  _getGraphActions(metric) {
+    if (!metric) return this._getActions('', {});
+    const cardActions = this._getActions('', { tap_action: { action: 'more-info' } });
+    const keyActions = this._getActions('', cardActions, this._config.graph_actions?.[metric.key] || {});
+    return this._getActions('', keyActions, metric);
+  }
 
-    const values = data.map(d => d.value);
-    const dataMin = Math.min(...values, minVal);
-    const dataMax = Math.max(...values, maxVal);
-    const range = dataMax - dataMin || 1;
+  _hasAction(action) {
+    return !!action && action.action !== 'none';
+  }
 
-    const points = data.map((d, i) => {
-      const x = padding + (i / (data.length - 1)) * (width - 2 * padding);
-      const y = height - padding - ((d.value - dataMin) / range) * (height - 2 * padding);
-      return { x, y, value: d.value, time: d.time, color: colorFn(d.value) };
-    });
+  // Tap, hold and double-tap on `element`. A hold only fires while the pointer
+  // stays put, so the graphs' long-press drag cursor keeps working.
+  _bindActions(element, actions, entityId, onHold = null) {
+    if (!ACTION_GESTURES.some(gesture => this._hasAction(actions[gesture]))) return;
+    element.classList.add('actionable');
+
+    let holdTimer = null;
+    let tapTimer = null;
+    let held = false;
+    let origin = null;
 
-    this._graphData[graphId] = { points, unit, colorFn };
+    const cancelHold = () => {
+      clearTimeout(holdTimer);
+      holdTimer = null;
+    };
+    const startHold = (x, y) => {
+      held = false;
+      origin = { x, y };
+      cancelHold();
+      if (!this._hasAction(actions.hold_action)) return;
+      holdTimer = setTimeout(() => {
+        holdTimer = null;
+        // Scrubbing a graph's cursor moves the finger, which cancels the hold
+        // already; this covers a scrub that never left the tolerance
+        if (this._isDragging) return;
+        held = true;
+        if (onHold) onHold();
+        this._handleAction(actions.hold_action, entityId);
+      }, HOLD_DELAY);
+    };
+    const moveHold = (x, y) => {
+      if (holdTimer && Math.hypot(x - origin.x, y - origin.y) > HOLD_MOVE_TOLERANCE) cancelHold();
+    };
 
-    if (points.length < 2) return;
+    element.addEventListener('mousedown', (e) => startHold(e.clientX, e.clientY));
+    element.addEventListener('mousemove', (e) => moveHold(e.clientX, e.clientY));
+    element.addEventListener('mouseup', cancelHold);
+    element.addEventListener('mouseleave', cancelHold);
+    element.addEventListener('touchstart', (e) => startHold(e.touches[0].clientX, e.touches[0].clientY), { passive: true });
+    element.addEventListener('touchmove', (e) => moveHold(e.touches[0].clientX, e.touches[0].clientY), { passive: true });
+    element.addEventListener('touchend', cancelHold);
+    element.addEventListener('touchcancel', cancelHold);
+
+    element.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (held) {
+        held = false;
+        return;
+      }
+      if (this._hasAction(actions.double_tap_action)) {
+        if (tapTimer) {
+          clearTimeout(tapTimer);
+          tapTimer = null;
+          this._handleAction(actions.double_tap_action, entityId);
+          return;
+        }
+        tapTimer = setTimeout(() => {
+          tapTimer = null;
+          this._handleAction(actions.tap_action, entityId);
+        }, DOUBLE_TAP_WINDOW);
+        return;
+      }
+      this._handleAction(actions.tap_action, entityId);
+    });
+  }
 
-    const gradientId = `gradient-${graphId}-${Date.now()}`;
-    let gradientStops = '';
-    for (let i = 0; i < points.length; i++) {
-      const pct = (i / (points.length - 1)) * 100;
-      gradientStops += `<stop offset="${pct}%" style="stop-color:${points[i].color}" />`;
+  // Standard Lovelace action config
+  _handleAction(action, entityId) {
+    if (!this._hasAction(action)) return;
+    if (action.confirmation) {
+      const text = action.confirmation.text || this._t('action.confirm', { action: action.action.replace(/[-_]/g, ' ') });
+      if (!window.confirm(text)) return;
     }
 
-    let linePath = `M ${points[0].x} ${points[0].y}`;
-    for (let i = 1; i < points.length; i++) {
-      linePath += ` L ${points[i].x} ${points[i].y}`;
+    switch (action.action) {
+      case 'more-info': {
+        const target = action.entity || entityId;
+        if (target) this._fireEvent('hass-more-info', { entityId: target });
+        break;
+      }
+      case 'navigate':
+        if (!action.navigation_path) break;
+        if (action.navigation_replace) window.history.replaceState(null, '', action.navigation_path);
+        else window.history.pushState(null, '', action.navigation_path);
+        window.dispatchEvent(new CustomEvent('location-changed', { detail: { replace: !!action.navigation_replace } }));
+        break;
+      case 'url':
+        if (action.url_path) window.open(action.url_path, '_blank');
+        break;
+      case 'toggle': {
+        const target = action.entity || entityId;
+        if (target) this._callService('homeassistant', 'toggle', { entity_id: target });
+        break;
+      }
+      case 'call-service':
+      case 'perform-action': {
+        const service = action.perform_action || action.service;
+        if (!service) break;
+        const [domain, name] = service.split('.');
+        this._callService(domain, name, action.data || action.service_data || {}, action.target);
+        break;
+      }
+      case 'fire-dom-event':
+        this._fireEvent('ll-custom', action);
+        break;
+      case 'expand': {
+        const target = action.entity || entityId;
+        const metric = this._metrics.find(m => m.entity === target);
+        if (metric) this._openExpanded(metric);
+        break;
+      }
     }
+  }
 
-    const areaPath = linePath + ` L ${points[points.length - 1].x} ${height} L ${points[0].x} ${height} Z`;
-    const fillGradientId = `fill-${graphId}-${Date.now()}`;
-
-    svg.innerHTML = `
-      <defs>
-        <linearGradient id="${gradientId}" x1="0%" y1="0%" x2="100%" y2="0%">
-          ${gradientStops}
-        </linearGradient>
-        <linearGradient id="${fillGradientId}" x1="0%" y1="0%" x2="0%" y2="100%">
-          <stop offset="0%" style="stop-color:currentColor;stop-opacity:0.2" />
-          <stop offset="100%" style="stop-color:currentColor;stop-opacity:0.02" />
-        </linearGradient>
-        <mask id="mask-${graphId}">
-          <path d="${areaPath}" fill="white" />
-        </mask>
-      </defs>
-      <rect x="0" y="0" width="${width}" height="${height}" fill="url(#${fillGradientId})" mask="url(#mask-${graphId})" style="color: url(#${gradientId})" />
-      <path d="${linePath}" stroke="url(#${gradientId})" class="graph-line" fill="none" />
-    `;
-
-    if (timeAxis && points.length > 0) {
-      const startTime = new Date(points[0].time);
-      const endTime = new Date(points[points.length - 1].time);
-      const midTime = new Date((startTime.getTime() + endTime.getTime()) / 2);
+  _fireEvent(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { bubbles: true, composed: true, detail }));
+  }
 
-      const formatTime = (d) => d.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
-      timeAxis.innerHTML = `
-        <span>${formatTime(startTime)}</span>
-        <span>${formatTime(midTime)}</span>
-        <span>${formatTime(endTime)}</span>
-      `;
-    }
+  // Service calls from actions; a failure is shown as a Home Assistant toast
+  // instead of ending as an unhandled rejection
+  _callService(domain, service, data, target) {
+    return Promise.resolve(this._hass.callService(domain, service, data, target)).catch(e => {
+      console.warn(`Air Quality Card: Failed to call ${domain}.${service}:`, e);
+      this._fireEvent('hass-notification', {
+        message: this._t('action.failed', { service: `${domain}.${service}`, error: e?.message || e })
+      });
+    });
   }
 
   _setupGraphInteractions() {
-    const graphIds = ['co2', 'pm25', 'hcho', 'tvoc', 'humidity', 'temperature'].filter(id => {
-      return this._config[`${id === 'pm25' ? 'pm25' : id}_entity`];
+    this.shadowRoot.querySelectorAll('.room-row').forEach(row => {
+      row.addEventListener('click', () => {
+        const index = Number(row.dataset.room);
+        if (this._expandedRooms.has(index)) this._expandedRooms.delete(index);
+        else this._expandedRooms.add(index);
+        row.parentElement.classList.toggle('expanded', this._expandedRooms.has(index));
+      });
     });
 
+    const graphIds = this._metrics.map(metric => metric.id);
+    this._rooms.forEach(room => { if (room.score) graphIds.push(room.score.id); });
+    if (this._multiRoom && this._config.overlay_metric) graphIds.push('overlay');
+
     graphIds.forEach(graphId => {
       const container = this.shadowRoot.getElementById(`${graphId}-graph-container`);
       const graphEl = this.shadowRoot.getElementById(`${graphId}-graph`);
@@ -964,87 +4594,532 @@ class AirQualityCard extends HTMLElement {
 
       if (!container || !graphEl || !cursor || !tooltip) return;
 
-      const entityId = container.dataset.entity;
-
-      container.addEventListener('click', (e) => {
-        if (this._isDragging) {
-          this._isDragging = false;
-          return;
-        }
-        const event = new CustomEvent('hass-more-info', {
-          bubbles: true,
-          composed: true,
-          detail: { entityId }
+      const metric = this._metrics.find(m => m.id === graphId);
+      const expandIcon = this.shadowRoot.getElementById(`${graphId}-expand`);
+      if (expandIcon && metric) {
+        expandIcon.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._openExpanded(metric);
         });
-        this.dispatchEvent(event);
+      }
+      // Touch: pressing for 200 ms shows the cursor and moving the finger
+      // then scrubs it (`_isDragging`). A finger that stays put is left to
+      // the hold action, which ends the cursor when it fires.
+      let touchTimeout;
+      let press = null;
+      let swallowClick = false;
+      const endPress = () => {
+        clearTimeout(touchTimeout);
+        press = null;
+      };
+      this._bindActions(container, this._getGraphActions(metric), metric?.entity, () => {
+        endPress();
+        this._hideCursor(graphId);
       });
 
       graphEl.addEventListener('mouseenter', () => this._showCursor(graphId));
       graphEl.addEventListener('mouseleave', () => this._hideCursor(graphId));
       graphEl.addEventListener('mousemove', (e) => this._updateCursor(graphId, e));
+      graphEl.addEventListener('mousedown', () => {
+        swallowClick = false;
+      });
 
-      let touchTimeout;
       graphEl.addEventListener('touchstart', (e) => {
+        this._isDragging = false;
+        swallowClick = false;
+        const touch = e.touches[0];
+        press = { x: touch.clientX, y: touch.clientY, active: false };
+        clearTimeout(touchTimeout);
         touchTimeout = setTimeout(() => {
-          this._isDragging = true;
+          if (!press) return;
+          press.active = true;
           this._showCursor(graphId);
-          this._updateCursor(graphId, e.touches[0]);
+          this._updateCursor(graphId, touch);
         }, 200);
       }, { passive: true });
 
       graphEl.addEventListener('touchmove', (e) => {
-        if (this._isDragging) {
-          e.preventDefault();
-          this._updateCursor(graphId, e.touches[0]);
-        }
+        if (!press?.active) return;
+        e.preventDefault();
+        const touch = e.touches[0];
+        if (!this._isDragging && Math.hypot(touch.clientX - press.x, touch.clientY - press.y) <= HOLD_MOVE_TOLERANCE) return;
+        this._isDragging = true;
+        this._updateCursor(graphId, touch);
       }, { passive: false });
 
-      graphEl.addEventListener('touchend', () => {
-        clearTimeout(touchTimeout);
-        if (this._isDragging) {
-          setTimeout(() => this._hideCursor(graphId), 1000);
-        }
+      const endTouch = () => {
+        const shown = press?.active;
+        endPress();
+        this._isDragging = false;
+        if (!shown) return;
+        // Lifting the finger off the cursor isn't a tap
+        swallowClick = true;
+        setTimeout(() => this._hideCursor(graphId), 1000);
+      };
+      graphEl.addEventListener('touchend', endTouch);
+      graphEl.addEventListener('touchcancel', endTouch);
+
+      graphEl.addEventListener('click', (e) => {
+        if (!swallowClick) return;
+        swallowClick = false;
+        e.stopPropagation();
+      });
+    });
+  }
+
+  // The bell toggles the alert log. Browsers only allow notifications and
+  // sound after the user interacted with the page, so the first tap on the
+  // card asks for them.
+  _setupAlerts() {
+    const bell = this.shadowRoot.getElementById('alert-bell');
+    const log = this.shadowRoot.getElementById('alert-log');
+    if (!bell || !log) return;
+    bell.addEventListener('click', (e) => {
+      e.stopPropagation();
+      log.hidden = !log.hidden;
+      this._unlockAlertOutputs();
+    });
+    this.shadowRoot.getElementById('alert-dismiss').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this._alertsDismissed = true;
+      this._renderAlerts();
+    });
+    this.shadowRoot.querySelector('ha-card').addEventListener('click', () => this._unlockAlertOutputs());
+    this._renderAlerts();
+  }
+
+  _unlockAlertOutputs() {
+    const alerts = this._getAlertConfig();
+    if (!alerts) return;
+    if (alerts.sound) this._getAudioContext();
+    if (alerts.notification && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      Notification.requestPermission();
+    }
+  }
+
+  _setupRecommendationAction() {
+    const button = this.shadowRoot.getElementById('rec-action');
+    if (!button) return;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const action = this._recAction;
+      if (!action || !this._hass) return;
+      const [domain, service] = (action.action || action.service).split('.');
+      // Disabled while the call runs; a failure shows a toast and re-enables it
+      button.disabled = true;
+      this._callService(domain, service, action.data || action.service_data || {}, action.target)
+        .then(() => { button.disabled = false; });
+    });
+  }
+
+  // Button for the `recommendation_actions` entry of the shown recommendation,
+  // highlighted while its target device is already running
+  _updateRecommendationAction(recommendation, room) {
+    const button = this.shadowRoot.getElementById('rec-action');
+    if (!button) return;
+
+    const actions = room.config.recommendation_actions || this._config.recommendation_actions;
+    const action = recommendation ? actions?.[recommendation] : null;
+    this._recAction = action || null;
+    button.hidden = !action;
+    if (!action) return;
+
+    const entityId = this._getActionEntity(action);
+    const state = entityId ? this._getState(entityId) : null;
+    const running = state !== null && !IDLE_STATES.includes(state);
+    const service = (action.action || action.service).split('.')[1];
+    const name = action.name || service.charAt(0).toUpperCase() + service.slice(1).replace(/_/g, ' ');
+
+    button.classList.toggle('active', running);
+    button.title = entityId ? `${name} (${entityId}: ${state})` : name;
+    this.shadowRoot.getElementById('rec-action-icon').setAttribute('icon', running ? 'mdi:check' : (action.icon || 'mdi:play'));
+    this.shadowRoot.getElementById('rec-action-text').textContent = running
+      ? this._t(entityId.startsWith('cover.') ? 'action.open' : 'action.running')
+      : name;
+  }
+
+  // Entity whose state tells whether the action's device is running
+  _getActionEntity(action) {
+    const entityId = action.entity || action.target?.entity_id || action.data?.entity_id || action.service_data?.entity_id;
+    return (Array.isArray(entityId) ? entityId[0] : entityId) || null;
+  }
+
+  _setupExpandedView() {
+    const dialog = this.shadowRoot.getElementById('expanded');
+    const graphEl = this.shadowRoot.getElementById('expanded-graph');
+    if (!dialog || !graphEl) return;
+
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) this._closeExpanded();
+    });
+    this.shadowRoot.getElementById('expanded-close').addEventListener('click', () => this._closeExpanded());
+    this.shadowRoot.querySelectorAll('.expanded-preset').forEach(button => {
+      button.addEventListener('click', () => {
+        const end = Date.now();
+        this._setExpandedWindow(end - Number(button.dataset.hours) * 60 * 60 * 1000, end);
+      });
+    });
+    this.shadowRoot.getElementById('expanded-overlay').addEventListener('change', (e) => {
+      if (!this._expanded) return;
+      this._expanded.overlay = this._metrics.find(m => m.id === e.target.value) || null;
+      this._renderExpanded();
+      this._scheduleExpandedFetch();
+    });
+
+    const pctAt = clientX => {
+      const rect = graphEl.getBoundingClientRect();
+      return rect.width ? Math.max(0, Math.min(1, (clientX - rect.left) / rect.width)) : 0.5;
+    };
+
+    // Mouse: hover for the cursor, drag to pan, wheel to zoom
+    let pan = null;
+    graphEl.addEventListener('wheel', (e) => {
+      if (!this._expanded) return;
+      e.preventDefault();
+      this._zoomExpanded(e.deltaY > 0 ? 1.25 : 0.8, pctAt(e.clientX));
+    }, { passive: false });
+    graphEl.addEventListener('mousedown', (e) => {
+      if (!this._expanded) return;
+      pan = { x: e.clientX, start: this._expanded.start, end: this._expanded.end };
+      this._hideCursor('expanded');
+    });
+    graphEl.addEventListener('mousemove', (e) => {
+      if (pan) {
+        this._panExpanded(pan, e.clientX);
+        return;
+      }
+      this._showCursor('expanded');
+      this._updateCursor('expanded', e);
+    });
+    graphEl.addEventListener('mouseup', () => { pan = null; });
+    graphEl.addEventListener('mouseleave', () => {
+      pan = null;
+      this._hideCursor('expanded');
+    });
+
+    // Touch: one finger pans, two fingers pinch-zoom, a tap shows the cursor
+    let pinch = null;
+    let moved = false;
+    const distance = touches => Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    graphEl.addEventListener('touchstart', (e) => {
+      if (!this._expanded) return;
+      moved = false;
+      this._hideCursor('expanded');
+      if (e.touches.length === 2) {
+        pan = null;
+        pinch = {
+          distance: distance(e.touches),
+          pct: pctAt((e.touches[0].clientX + e.touches[1].clientX) / 2),
+          start: this._expanded.start,
+          end: this._expanded.end
+        };
+      } else {
+        pan = { x: e.touches[0].clientX, start: this._expanded.start, end: this._expanded.end };
+      }
+    }, { passive: true });
+    graphEl.addEventListener('touchmove', (e) => {
+      if (!this._expanded) return;
+      e.preventDefault();
+      moved = true;
+      if (pinch && e.touches.length === 2) {
+        this._expanded.start = pinch.start;
+        this._expanded.end = pinch.end;
+        this._zoomExpanded(pinch.distance / (distance(e.touches) || 1), pinch.pct);
+      } else if (pan) {
+        this._panExpanded(pan, e.touches[0].clientX);
+      }
+    }, { passive: false });
+    graphEl.addEventListener('touchend', (e) => {
+      if (!moved && pan && e.changedTouches.length) {
+        this._showCursor('expanded');
+        this._updateCursor('expanded', e.changedTouches[0]);
+        setTimeout(() => this._hideCursor('expanded'), 2000);
+      }
+      if (!e.touches.length) {
+        pan = null;
+        pinch = null;
+      }
+    });
+  }
+
+  // Expanded view of one metric, starting at the card's own window and history
+  _openExpanded(metric) {
+    const dialog = this.shadowRoot.getElementById('expanded');
+    if (!dialog) return;
+
+    const end = Date.now();
+    const start = end - this._config.hours_to_show * 60 * 60 * 1000;
+    this._expanded = { metric, overlay: null, start, end, series: {}, request: 0 };
+    // Statistics series don't take live states, so they refetch once the view moves past `end`
+    const statistics = this._usesStatistics();
+    this._metrics.forEach(m => {
+      if (this._history[m.id]) {
+        this._expanded.series[m.id] = { data: this._history[m.id], start, end, statistics, live: !statistics };
+      }
+    });
+
+    this.shadowRoot.getElementById('expanded-title').textContent = this._getLabel(metric);
+    const overlaySelect = this.shadowRoot.getElementById('expanded-overlay');
+    overlaySelect.innerHTML = `<option value="">${this._t('expanded.no_overlay')}</option>` + this._metrics
+      .filter(m => m !== metric)
+      .map(m => `<option value="${m.id}">${this._t('expanded.overlay', { metric: this._getLabel(m) })}</option>`)
+      .join('');
+    overlaySelect.hidden = this._metrics.length < 2;
+
+    dialog.hidden = false;
+    window.addEventListener('keydown', this._onExpandedKeyDown);
+    this._renderExpanded();
+  }
+
+  _closeExpanded() {
+    const dialog = this.shadowRoot.getElementById('expanded');
+    if (dialog) dialog.hidden = true;
+    window.removeEventListener('keydown', this._onExpandedKeyDown);
+    clearTimeout(this._expandedFetchTimer);
+    this._expanded = null;
+    delete this._graphData.expanded;
+  }
+
+  _zoomExpanded(factor, pct) {
+    const { start, end } = this._expanded;
+    const span = Math.min(Math.max((end - start) * factor, EXPANDED_MIN_MINUTES * 60 * 1000), EXPANDED_MAX_HOURS * 60 * 60 * 1000);
+    const anchor = start + pct * (end - start);
+    this._setExpandedWindow(anchor - pct * span, anchor - pct * span + span);
+  }
+
+  _panExpanded(pan, clientX) {
+    const rect = this.shadowRoot.getElementById('expanded-graph').getBoundingClientRect();
+    const shift = rect.width ? ((clientX - pan.x) / rect.width) * (pan.end - pan.start) : 0;
+    this._setExpandedWindow(pan.start - shift, pan.end - shift);
+  }
+
+  // The window never extends into the future
+  _setExpandedWindow(start, end) {
+    const now = Date.now();
+    if (end > now) {
+      start -= end - now;
+      end = now;
+    }
+    this._expanded.start = start;
+    this._expanded.end = end;
+    this._renderExpanded();
+    this._scheduleExpandedFetch();
+  }
+
+  // Fetch history for the metrics shown once panning/zooming settles, when
+  // the window leaves what is loaded or needs a different resolution
+  _scheduleExpandedFetch() {
+    clearTimeout(this._expandedFetchTimer);
+    this._expandedFetchTimer = setTimeout(() => this._fetchExpanded(), 300);
+  }
+
+  async _fetchExpanded() {
+    const expanded = this._expanded;
+    if (!expanded || !this._hass) return;
+
+    const { start, end } = expanded;
+    const span = end - start;
+    const statistics = this._usesStatistics(span / (60 * 60 * 1000));
+    const missing = [expanded.metric, expanded.overlay].filter(metric => {
+      const loaded = metric && expanded.series[metric.id];
+      if (!metric) return false;
+      return !loaded || loaded.statistics !== statistics || start < loaded.start || (end > loaded.end && !loaded.live);
+    });
+    if (!missing.length) return;
+
+    // Load half a window either side so short pans don't refetch
+    const fetchStart = new Date(start - span / 2);
+    const fetchEnd = new Date(Math.min(Date.now(), end + span / 2));
+    const request = ++expanded.request;
+    const graphEl = this.shadowRoot.getElementById('expanded-graph');
+    graphEl?.classList.add('loading');
+
+    try {
+      let results;
+      if (statistics) {
+        const response = await this._fetchStatistics(missing.map(metric => metric.entity), fetchStart, fetchEnd, span);
+        results = missing.map(metric => this._processStatistics(response[metric.entity] || [], metric));
+      } else {
+        const responses = await Promise.all(missing.map(metric => this._fetchHistory(metric.entity, fetchStart, fetchEnd)));
+        results = missing.map((metric, i) => this._processHistory(responses[i], metric));
+      }
+      if (this._expanded !== expanded || request !== expanded.request) return;
+
+      missing.forEach((metric, i) => {
+        expanded.series[metric.id] = { data: results[i], start: fetchStart.getTime(), end: fetchEnd.getTime(), statistics, live: false };
       });
+      this._renderExpanded();
+    } catch (e) {
+      console.warn('Air Quality Card: Failed to load history:', e);
+    } finally {
+      if (this._expanded === expanded && request === expanded.request) graphEl?.classList.remove('loading');
+    }
+  }
+
+  // The points of a series inside [start, end], starting with the state in
+  // effect at `start`
+  _sliceSeries(data, start, end) {
+    const inside = data.filter(d => d.time >= start && d.time <= end);
+    let before = null;
+    for (let i = data.length - 1; i >= 0; i--) {
+      if (data[i].time < start) {
+        before = data[i];
+        break;
+      }
+    }
+    return before ? [{ ...before, time: start }, ...inside] : inside;
+  }
+
+  _renderExpanded() {
+    const svg = this.shadowRoot.getElementById('expanded-svg');
+    if (!this._expanded || !svg) return;
+
+    const { metric, overlay, start, end, series } = this._expanded;
+    const span = end - start;
+    this.shadowRoot.querySelectorAll('.expanded-preset').forEach(button => {
+      button.classList.toggle('active', Math.abs(Number(button.dataset.hours) * 60 * 60 * 1000 - span) < 60 * 1000 && Date.now() - end < 60 * 1000);
     });
+
+    svg.innerHTML = '';
+    this.shadowRoot.getElementById('expanded-y-axis').innerHTML = '';
+    this.shadowRoot.getElementById('expanded-y2-axis').innerHTML = '';
+    delete this._graphData.expanded;
+
+    const data = series[metric.id] ? this._sliceSeries(series[metric.id].data, start, end) : [];
+    const [minVal, maxVal] = this._getRange(metric);
+    this._renderGraph('expanded', data, v => this._getColor(metric, v), minVal, maxVal, this._getUnit(metric), metric.decimals, {
+      yAxis: this._getYAxisMode(metric),
+      thresholds: this._getThresholds(metric),
+      start,
+      end,
+      height: 120,
+      showYAxis: true
+    });
+    if (!this._graphData.expanded || !overlay || !series[overlay.id]) return;
+
+    // Second metric, auto-scaled on its own axis on the right
+    const overlayData = this._sliceSeries(series[overlay.id].data, start, end);
+    const runs = this._splitRuns(overlayData, end).map(run => this._decimate(run, Math.round(svg.getBoundingClientRect().width) || 300));
+    const values = runs.flat().map(d => d.value);
+    if (!values.length) return;
+
+    const width = 300;
+    const height = 120;
+    const padding = 2;
+    let low = Math.min(...values);
+    let high = Math.max(...values);
+    if (low === high) {
+      low -= 1;
+      high += 1;
+    }
+    const toX = time => padding + ((Math.min(Math.max(time, start), end) - start) / span) * (width - 2 * padding);
+    const toY = value => height - padding - ((value - low) / (high - low)) * (height - 2 * padding);
+    const path = runs.map(run => `M ${run.map(d => `${toX(d.time)} ${toY(d.value)}`).join(' L ')}`).join(' ');
+    svg.insertAdjacentHTML('beforeend', `<path d="${path}" stroke="${EXPANDED_SECONDARY_COLOR}" class="graph-line" fill="none" stroke-dasharray="4 2" />`);
+
+    this.shadowRoot.getElementById('expanded-y2-axis').innerHTML =
+      `<span>${this._formatNumber(high, overlay.decimals)}</span><span>${this._formatNumber(low, overlay.decimals)}</span>`;
+    this._graphData.expanded.secondary = {
+      metric: overlay,
+      points: runs.flat()
+        .concat(this._findGaps(overlayData, end).map(([time]) => ({ time, value: null })))
+        .sort((a, b) => a.time - b.time)
+    };
+  }
+
+  // With `sync_cursor`, every graph of the card shows its cursor together
+  _getCursorGraphIds(graphId) {
+    if (!this._config.sync_cursor || graphId === 'expanded') return [graphId];
+    return Object.keys(this._graphData).filter(id => id !== 'expanded');
   }
 
   _showCursor(graphId) {
-    const cursor = this.shadowRoot.getElementById(`${graphId}-cursor`);
-    const tooltip = this.shadowRoot.getElementById(`${graphId}-tooltip`);
-    if (cursor) cursor.style.display = 'block';
-    if (tooltip) tooltip.style.display = 'block';
+    this._getCursorGraphIds(graphId).forEach(id => {
+      const cursor = this.shadowRoot.getElementById(`${id}-cursor`);
+      const tooltip = this.shadowRoot.getElementById(`${id}-tooltip`);
+      if (cursor) cursor.style.display = 'block';
+      // A combined tooltip lists every metric on the hovered graph only
+      if (tooltip) tooltip.style.display = this._config.combined_tooltip && id !== graphId ? 'none' : 'block';
+    });
   }
 
   _hideCursor(graphId) {
-    const cursor = this.shadowRoot.getElementById(`${graphId}-cursor`);
-    const tooltip = this.shadowRoot.getElementById(`${graphId}-tooltip`);
-    if (cursor) cursor.style.display = 'none';
-    if (tooltip) tooltip.style.display = 'none';
+    this._getCursorGraphIds(graphId).forEach(id => {
+      const cursor = this.shadowRoot.getElementById(`${id}-cursor`);
+      const tooltip = this.shadowRoot.getElementById(`${id}-tooltip`);
+      if (cursor) cursor.style.display = 'none';
+      if (tooltip) tooltip.style.display = 'none';
+    });
+  }
+
+  // Binary search for the state in effect at `time`: the last point at or
+  // before it (points are sorted by time)
+  _findPointAt(points, time) {
+    if (time <= points[0].time) return points[0];
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (points[mid].time <= time) low = mid;
+      else high = mid - 1;
+    }
+    return points[low];
+  }
+
+  // Overlay tooltip lists every room's value at the hovered time
+  _updateOverlayCursor(cursor, tooltip, data, time) {
+    const pct = Math.max(0, Math.min(1, (time - data.start) / (data.end - data.start)));
+    cursor.style.left = `${pct * 100}%`;
+    cursor.style.background = 'var(--primary-text-color)';
+
+    const valueEl = tooltip.querySelector('.graph-tooltip-value');
+    const timeEl = tooltip.querySelector('.graph-tooltip-time');
+    if (valueEl) {
+      valueEl.innerHTML = data.series.map(({ name, color, metric, points }) => {
+        const point = this._findPointAt(points, time);
+        const value = point.value === null || time < point.time
+          ? '--'
+          : `${this._formatValue(metric, point.value)} ${this._getUnit(metric)}`;
+        return `<div style="color: ${color}">${name}: ${value}</div>`;
+      }).join('');
+      valueEl.style.color = '';
+    }
+    if (timeEl) timeEl.textContent = this._formatTime(time);
+
+    tooltip.style.left = `${Math.min(88, Math.max(12, pct * 100))}%`;
   }
 
+  // Cursors follow the hovered timestamp, so synced graphs line up by time
+  // rather than by point index
   _updateCursor(graphId, event) {
     const graphEl = this.shadowRoot.getElementById(`${graphId}-graph`);
+    const data = this._graphData[graphId];
+    if (!graphEl || !data) return;
+
+    const rect = graphEl.getBoundingClientRect();
+    const pct = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    const time = data.start + pct * (data.end - data.start);
+
+    this._getCursorGraphIds(graphId).forEach(id => this._setCursorTime(id, time));
+    if (this._config.sync_cursor && this._config.combined_tooltip && graphId !== 'expanded') {
+      this._renderCombinedTooltip(graphId, time);
+    }
+  }
+
+  _setCursorTime(graphId, time) {
     const cursor = this.shadowRoot.getElementById(`${graphId}-cursor`);
     const tooltip = this.shadowRoot.getElementById(`${graphId}-tooltip`);
     const data = this._graphData[graphId];
 
-    if (!graphEl || !cursor || !tooltip || !data || !data.points.length) return;
-
-    const rect = graphEl.getBoundingClientRect();
-    const x = event.clientX - rect.left;
-    const pct = Math.max(0, Math.min(1, x / rect.width));
-
-    const targetX = pct * 300;
-    let closest = data.points[0];
-    let minDist = Math.abs(closest.x - targetX);
-
-    for (const point of data.points) {
-      const dist = Math.abs(point.x - targetX);
-      if (dist < minDist) {
-        minDist = dist;
-        closest = point;
-      }
+    if (!cursor || !tooltip || !data) return;
+    if (data.series) {
+      this._updateOverlayCursor(cursor, tooltip, data, time);
+      return;
     }
+    if (!data.points.length) return;
+
+    const pct = Math.max(0, Math.min(1, (time - data.start) / (data.end - data.start)));
+    const closest = this._findPointAt(data.points, time);
 
     cursor.style.left = `${pct * 100}%`;
     cursor.style.background = closest.color;
@@ -1054,17 +5129,22 @@ class AirQualityCard extends HTMLElement {
     const timeEl = tooltip.querySelector('.graph-tooltip-time');
 
     if (valueEl) {
-      let displayValue;
-      if (data.unit === 'ppm' || data.unit === 'ppb') displayValue = Math.round(closest.value);
-      else if (data.unit === '%' || data.unit === '°F' || data.unit === '°C') displayValue = Math.round(closest.value);
-      else displayValue = closest.value.toFixed(1);
-      valueEl.textContent = `${displayValue} ${data.unit}`;
+      valueEl.textContent = this._formatCursorValue(closest, time, data.unit, data.decimals);
       valueEl.style.color = closest.color;
+
+      // Second metric of the expanded view
+      if (data.secondary?.points.length) {
+        const { metric, points } = data.secondary;
+        const point = this._findPointAt(points, time);
+        const text = point.value === null || time < point.time
+          ? '--'
+          : `${this._formatValue(metric, point.value)} ${this._getUnit(metric)}`;
+        valueEl.insertAdjacentHTML('beforeend', `<div style="color: ${EXPANDED_SECONDARY_COLOR}">${this._getLabel(metric)}: ${text}</div>`);
+      }
     }
 
-    if (timeEl && closest.time) {
-      const time = new Date(closest.time);
-      timeEl.textContent = time.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    if (timeEl) {
+      timeEl.textContent = this._formatTime(time, (data.end - data.start) / (60 * 60 * 1000));
     }
 
     let tooltipX = pct * 100;
@@ -1072,6 +5152,32 @@ class AirQualityCard extends HTMLElement {
     if (tooltipX > 88) tooltipX = 88;
     tooltip.style.left = `${tooltipX}%`;
   }
+
+  _formatCursorValue(point, time, unit, decimals) {
+    if (point.value === null) return this._t('state.unavailable');
+    if (time < point.time) return '--';
+    const range = point.min !== undefined && point.max !== undefined
+      ? ` (${this._formatNumber(point.min, decimals)}–${this._formatNumber(point.max, decimals)})`
+      : '';
+    return `${this._formatNumber(point.value, decimals)} ${unit}${range}`;
+  }
+
+  // Every metric's value at `time` in the hovered graph's tooltip
+  _renderCombinedTooltip(graphId, time) {
+    const valueEl = this.shadowRoot.getElementById(`${graphId}-tooltip`)?.querySelector('.graph-tooltip-value');
+    if (!valueEl) return;
+
+    valueEl.innerHTML = this._metrics
+      .filter(metric => this._graphData[metric.id]?.points.length)
+      .map(metric => {
+        const data = this._graphData[metric.id];
+        const point = this._findPointAt(data.points, time);
+        const room = this._multiRoom ? `${this._getRoomName(this._rooms.find(r => r.metrics.includes(metric)))} ` : '';
+        return `<div style="color: ${point.color}">${room}${this._getLabel(metric)}: ${this._formatCursorValue(point, time, data.unit, data.decimals)}</div>`;
+      })
+      .join('');
+    valueEl.style.color = '';
+  }
 }
 
 // Register the card
@@ -1093,100 +5199,118 @@ console.info(
 );
 
 // ============================================
-// FALLBACK VISUAL CONFIGURATION EDITOR
-// For older Home Assistant versions that don't support getConfigForm
+// VISUAL CONFIGURATION EDITOR
+// The getConfigForm() schema in an ha-form, plus the recommendation template
+// generator that a plain form has no room for
 // ============================================
 
-const LitElement = Object.getPrototypeOf(
-  customElements.get("hui-masonry-view") || customElements.get("hui-view")
-);
-const html = LitElement?.prototype?.html;
-const css = LitElement?.prototype?.css;
-
-if (LitElement && !customElements.get('air-quality-card-editor')) {
-  class AirQualityCardEditor extends LitElement {
-    static get properties() {
-      return {
-        hass: { type: Object },
-        _config: { type: Object }
-      };
-    }
+class AirQualityCardEditor extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._config = null;
+    this._hass = null;
+    this._form = null;
+  }
 
-    setConfig(config) {
-      this._config = {
-        name: 'Air Quality',
-        hours_to_show: 24,
-        temperature_unit: 'F',
-        ...config
-      };
-    }
+  set hass(hass) {
+    this._hass = hass;
+    this._render();
+  }
 
-    _computeLabel(schema) {
-      const labels = {
-        name: 'Card Name',
-        co2_entity: 'CO₂ Sensor',
-        pm25_entity: 'PM2.5 Sensor',
-        hcho_entity: 'HCHO Sensor (optional)',
-        tvoc_entity: 'tVOC Sensor (optional)',
-        humidity_entity: 'Humidity Sensor (optional)',
-        temperature_entity: 'Temperature Sensor (optional)',
-        air_quality_entity: 'Air Quality Index (optional)',
-        recommendation_entity: 'Recommendation Sensor (optional)',
-        hours_to_show: 'Graph History (hours)',
-        temperature_unit: 'Temperature Unit'
-      };
-      return labels[schema.name] || schema.name;
-    }
+  get hass() {
+    return this._hass;
+  }
 
-    _schema() {
-      return [
-        { name: 'name', selector: { text: {} } },
-        { name: 'co2_entity', selector: { entity: { domain: 'sensor' } } },
-        { name: 'pm25_entity', selector: { entity: { domain: 'sensor' } } },
-        { name: 'hcho_entity', selector: { entity: { domain: 'sensor' } } },
-        { name: 'tvoc_entity', selector: { entity: { domain: 'sensor' } } },
-        { name: 'humidity_entity', selector: { entity: { domain: 'sensor' } } },
-        { name: 'temperature_entity', selector: { entity: { domain: 'sensor' } } },
-        { name: 'air_quality_entity', selector: { entity: { domain: 'sensor' } } },
-        { name: 'recommendation_entity', selector: { entity: { domain: 'sensor' } } },
-        { name: 'hours_to_show', selector: { number: { min: 1, max: 168, mode: 'box' } } },
-        { name: 'temperature_unit', selector: { select: { options: [{ value: 'F', label: 'Fahrenheit (°F)' }, { value: 'C', label: 'Celsius (°C)' }], mode: 'dropdown' } } }
-      ];
-    }
-
-    render() {
-      if (!this._config) return html``;
-
-      return html`
-        <div class="card-config">
-          <ha-form
-            .hass=${this.hass}
-            .data=${this._config}
-            .schema=${this._schema()}
-            .computeLabel=${this._computeLabel}
-            @value-changed=${this._valueChanged}
-          ></ha-form>
-        </div>
-      `;
-    }
+  setConfig(config) {
+    this._config = {
+      name: 'Air Quality',
+      hours_to_show: 24,
+      ...config
+    };
+    this._render();
+  }
 
-    _valueChanged(ev) {
-      const newConfig = { type: 'custom:air-quality-card', ...ev.detail.value };
-      this.dispatchEvent(new CustomEvent('config-changed', {
-        detail: { config: newConfig },
-        bubbles: true,
-        composed: true
-      }));
-    }
+  _t(key) {
+    return localize(getFrontendLanguage(this._hass), key);
+  }
+
+  _render() {
+    if (!this._config) return;
+    if (!this._form) this._initialRender();
+    this._form.hass = this._hass;
+    this._form.data = this._config;
+  }
 
-    static get styles() {
-      return css`
+  _initialRender() {
+    // mwc-button is gone from newer Home Assistant versions
+    const button = customElements.get('ha-button') ? 'ha-button' : 'mwc-button';
+    this.shadowRoot.innerHTML = `
+      <style>
         .card-config {
           padding: 16px;
         }
-      `;
+
+        .template-yaml {
+          margin-top: 16px;
+        }
+
+        .template-yaml textarea {
+          width: 100%;
+          box-sizing: border-box;
+          font-family: monospace;
+          font-size: 12px;
+        }
+      </style>
+      <div class="card-config">
+        <ha-form></ha-form>
+        <div class="template-yaml">
+          <${button} id="template-generate">${this._t('template.generate')}</${button}>
+          <div id="template-output" hidden>
+            <p>${this._t('template.hint')}</p>
+            <textarea id="template-yaml" readonly rows="16"></textarea>
+            <${button} id="template-copy">${this._t('template.copy')}</${button}>
+          </div>
+        </div>
+      </div>
+    `;
+
+    const { schema, computeLabel } = AirQualityCard.getConfigForm();
+    this._form = this.shadowRoot.querySelector('ha-form');
+    this._form.schema = schema;
+    this._form.computeLabel = computeLabel;
+    this._form.addEventListener('value-changed', (ev) => this._valueChanged(ev));
+    this.shadowRoot.getElementById('template-generate').addEventListener('click', () => this._generateTemplate());
+    this.shadowRoot.getElementById('template-copy').addEventListener('click', () => this._copyTemplate());
+  }
+
+  // Built from the config as it stands, so regenerate after changing it
+  _generateTemplate() {
+    let yaml;
+    try {
+      yaml = AirQualityCard.getRecommendationTemplate(this._config, this._hass);
+    } catch (e) {
+      yaml = `# ${e.message}`;
     }
+    this.shadowRoot.getElementById('template-yaml').value = yaml;
+    this.shadowRoot.getElementById('template-output').hidden = false;
+  }
+
+  _copyTemplate() {
+    copyToClipboard(this.shadowRoot.getElementById('template-yaml').value)
+      .catch(e => console.warn('Air Quality Card: Failed to copy:', e));
+  }
+
+  _valueChanged(ev) {
+    const newConfig = { type: 'custom:air-quality-card', ...ev.detail.value };
+    this.dispatchEvent(new CustomEvent('config-changed', {
+      detail: { config: newConfig },
+      bubbles: true,
+      composed: true
+    }));
   }
+}
 
+if (!customElements.get('air-quality-card-editor')) {
   customElements.define('air-quality-card-editor', AirQualityCardEditor);
 }